@@ -0,0 +1,48 @@
+/**
+ * Collections and jobs tables as the studio first shipped them.
+ */
+module.exports = {
+  description: 'Create collections and jobs tables',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        description TEXT,
+        collection_number TEXT NOT NULL,
+        total_supply INTEGER NOT NULL,
+        drop_supply INTEGER NOT NULL,
+        drop_number INTEGER DEFAULT 1,
+        ai_prompt TEXT,
+        status TEXT DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        collection_id TEXT NOT NULL,
+        edition_number INTEGER NOT NULL,
+        edition_in_drop INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        image_url TEXT,
+        image_path TEXT,
+        metadata_path TEXT,
+        ai_prompt TEXT,
+        error_message TEXT,
+        retry_count INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (collection_id) REFERENCES collections (id)
+      )
+    `);
+
+    await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_collection_id ON jobs(collection_id)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_collections_status ON collections(status)');
+  }
+};
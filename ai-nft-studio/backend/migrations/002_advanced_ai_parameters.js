@@ -0,0 +1,12 @@
+/**
+ * Style preset, negative prompt and seed for each job.
+ */
+module.exports = {
+  description: 'Add advanced AI parameter columns to jobs',
+
+  async up(db) {
+    await db.addColumn('jobs', 'style_preset TEXT');
+    await db.addColumn('jobs', 'negative_prompt TEXT');
+    await db.addColumn('jobs', 'seed INTEGER');
+  }
+};
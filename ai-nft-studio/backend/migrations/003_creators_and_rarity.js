@@ -0,0 +1,12 @@
+/**
+ * Royalty creators and rarity tiers on collections, the assigned tier on jobs.
+ */
+module.exports = {
+  description: 'Add creators and rarity tier columns',
+
+  async up(db) {
+    await db.addColumn('collections', 'creators TEXT');
+    await db.addColumn('collections', 'rarity_tiers TEXT');
+    await db.addColumn('jobs', 'rarity_tier TEXT');
+  }
+};
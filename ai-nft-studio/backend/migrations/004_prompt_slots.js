@@ -0,0 +1,11 @@
+/**
+ * Weighted {slot} templates on collections and the values each job drew.
+ */
+module.exports = {
+  description: 'Add prompt slot columns',
+
+  async up(db) {
+    await db.addColumn('collections', 'prompt_slots TEXT');
+    await db.addColumn('jobs', 'prompt_variables TEXT');
+  }
+};
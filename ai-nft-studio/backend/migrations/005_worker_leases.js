@@ -0,0 +1,13 @@
+/**
+ * Pausing a collection and leasing jobs to the background worker.
+ */
+module.exports = {
+  description: 'Add pause flag and worker lease columns',
+
+  async up(db) {
+    await db.addColumn('collections', 'paused INTEGER DEFAULT 0');
+    await db.addColumn('jobs', 'lease_owner TEXT');
+    await db.addColumn('jobs', 'lease_expires_at INTEGER');
+    await db.addColumn('jobs', 'heartbeat_at INTEGER');
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * When a failed job may be retried and how its error was classified.
+ */
+module.exports = {
+  description: 'Add retry scheduling columns to jobs',
+
+  async up(db) {
+    await db.addColumn('jobs', 'next_attempt_at INTEGER');
+    await db.addColumn('jobs', 'error_category TEXT');
+  }
+};
@@ -0,0 +1,12 @@
+/**
+ * The provider chosen for a collection, and the one that rendered each job.
+ */
+module.exports = {
+  description: 'Add image provider columns',
+
+  async up(db) {
+    await db.addColumn('collections', 'image_provider TEXT');
+    await db.addColumn('jobs', 'image_provider TEXT');
+    await db.addColumn('jobs', 'provider_metadata TEXT');
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * Init image for image-to-image generation and how strongly it is kept.
+ */
+module.exports = {
+  description: 'Add reference image columns to collections',
+
+  async up(db) {
+    await db.addColumn('collections', 'reference_image_path TEXT');
+    await db.addColumn('collections', 'image_strength REAL');
+  }
+};
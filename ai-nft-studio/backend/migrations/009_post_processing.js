@@ -0,0 +1,11 @@
+/**
+ * Post-processing settings per collection and the image variants written per job.
+ */
+module.exports = {
+  description: 'Add post-processing columns',
+
+  async up(db) {
+    await db.addColumn('collections', 'post_processing TEXT');
+    await db.addColumn('jobs', 'image_files TEXT');
+  }
+};
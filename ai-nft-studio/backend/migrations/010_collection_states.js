@@ -0,0 +1,20 @@
+/**
+ * Package path for the collection lifecycle. Collections from before the state
+ * machine were left 'pending' or 'error'; map them onto the new states.
+ */
+module.exports = {
+  description: 'Add package_path and migrate legacy collection statuses',
+
+  async up(db) {
+    await db.addColumn('collections', 'package_path TEXT');
+
+    await db.run(`UPDATE collections SET status = 'created' WHERE status = 'pending'`);
+    await db.run(`
+      UPDATE collections SET status = CASE
+        WHEN EXISTS (SELECT 1 FROM jobs WHERE jobs.collection_id = collections.id) THEN 'review'
+        ELSE 'created'
+      END
+      WHERE status = 'error'
+    `);
+  }
+};
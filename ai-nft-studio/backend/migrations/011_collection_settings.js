@@ -0,0 +1,13 @@
+/**
+ * Settings the collection form always collected but the API dropped.
+ */
+module.exports = {
+  description: 'Add art style, batch size, external URL and royalty columns to collections',
+
+  async up(db) {
+    await db.addColumn('collections', 'style TEXT');
+    await db.addColumn('collections', 'batch_size INTEGER');
+    await db.addColumn('collections', 'external_url TEXT');
+    await db.addColumn('collections', 'seller_fee_basis_points INTEGER');
+  }
+};
@@ -0,0 +1,51 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Drops: a collection is released in drops, each with its own supply, prompt and
+ * style, and edition numbers continue from one drop to the next. Collections that
+ * already have jobs generated them all as a single drop.
+ */
+module.exports = {
+  description: 'Create drops table and number jobs by drop',
+
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS drops (
+        id TEXT PRIMARY KEY,
+        collection_id TEXT NOT NULL,
+        drop_number INTEGER NOT NULL,
+        supply INTEGER NOT NULL,
+        first_edition INTEGER NOT NULL,
+        ai_prompt TEXT,
+        style TEXT,
+        prompt_slots TEXT,
+        package_path TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (collection_id, drop_number),
+        FOREIGN KEY (collection_id) REFERENCES collections (id)
+      )
+    `);
+
+    await db.addColumn('jobs', 'drop_number INTEGER');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_jobs_collection_drop ON jobs(collection_id, drop_number)');
+
+    const collections = await db.all(`
+      SELECT c.id, COALESCE(c.drop_number, 1) AS drop_number, c.ai_prompt, c.style, c.prompt_slots, c.package_path,
+        COUNT(j.id) AS supply, MIN(j.edition_number) AS first_edition
+      FROM collections c
+      JOIN jobs j ON j.collection_id = c.id
+      GROUP BY c.id
+    `);
+
+    for (const collection of collections) {
+      await db.run(
+        `INSERT INTO drops (id, collection_id, drop_number, supply, first_edition, ai_prompt, style, prompt_slots, package_path)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), collection.id, collection.drop_number, collection.supply, collection.first_edition,
+          collection.ai_prompt, collection.style, collection.prompt_slots, collection.package_path]
+      );
+      await db.run('UPDATE jobs SET drop_number = ? WHERE collection_id = ?', [collection.drop_number, collection.id]);
+    }
+  }
+};
@@ -1,5 +1,14 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('./database');
+const { COLLECTION_STATES, CollectionStateError, assertTransition } = require('../utils/collectionStates');
+
+// Columns Collection.update may write; JSON_FIELDS are stored stringified
+const UPDATABLE_FIELDS = [
+  'name', 'symbol', 'description', 'collection_number', 'total_supply', 'drop_supply', 'drop_number',
+  'ai_prompt', 'creators', 'rarity_tiers', 'prompt_slots', 'image_provider', 'image_strength',
+  'post_processing', 'package_path', 'style', 'batch_size', 'external_url', 'seller_fee_basis_points'
+];
+const JSON_FIELDS = ['creators', 'rarity_tiers', 'prompt_slots', 'post_processing'];
 
 class Collection {
   constructor(data) {
@@ -12,7 +21,20 @@ class Collection {
     this.drop_supply = data.drop_supply;
     this.drop_number = data.drop_number || 1;
     this.ai_prompt = data.ai_prompt;
-    this.status = data.status || 'pending';
+    this.creators = typeof data.creators === 'string' ? JSON.parse(data.creators) : (data.creators || []);
+    this.rarity_tiers = typeof data.rarity_tiers === 'string' ? JSON.parse(data.rarity_tiers) : (data.rarity_tiers || []);
+    this.image_provider = data.image_provider || null;
+    this.reference_image_path = data.reference_image_path || null;
+    this.image_strength = data.image_strength ?? null;
+    this.post_processing = typeof data.post_processing === 'string' ? JSON.parse(data.post_processing) : (data.post_processing || {});
+    this.package_path = data.package_path || null;
+    this.style = data.style || null;
+    this.batch_size = data.batch_size ?? null;
+    this.external_url = data.external_url || null;
+    this.seller_fee_basis_points = data.seller_fee_basis_points ?? null;
+    this.paused = Boolean(data.paused);
+    this.prompt_slots = typeof data.prompt_slots === 'string' ? JSON.parse(data.prompt_slots) : (data.prompt_slots || []);
+    this.status = data.status || COLLECTION_STATES.CREATED;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -25,8 +47,9 @@ class Collection {
       const stmt = db.prepare(`
         INSERT INTO collections (
           id, name, symbol, description, collection_number, 
-          total_supply, drop_supply, drop_number, ai_prompt, status
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          total_supply, drop_supply, drop_number, ai_prompt, creators, rarity_tiers, prompt_slots, image_provider,
+          image_strength, post_processing, style, batch_size, external_url, seller_fee_basis_points, status
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run([
@@ -39,6 +62,16 @@ class Collection {
         collection.drop_supply,
         collection.drop_number,
         collection.ai_prompt,
+        JSON.stringify(collection.creators),
+        JSON.stringify(collection.rarity_tiers),
+        JSON.stringify(collection.prompt_slots),
+        collection.image_provider,
+        collection.image_strength,
+        JSON.stringify(collection.post_processing),
+        collection.style,
+        collection.batch_size,
+        collection.external_url,
+        collection.seller_fee_basis_points,
         collection.status
       ], function(err) {
         if (err) {
@@ -89,13 +122,118 @@ class Collection {
     });
   }
 
+  /**
+   * Update collection fields. A status change must be a valid transition from the
+   * stored status and is applied with a compare-and-set on it, so two requests
+   * racing on the same collection cannot both move it.
+   * @param {string} id - Collection ID
+   * @param {object} updates - Fields to change; fields outside UPDATABLE_FIELDS and status are ignored
+   * @returns {Promise<Collection|null>} Updated collection, or null when it does not exist
+   * @throws {CollectionStateError} When the status change is not allowed
+   */
+  static async update(id, updates) {
+    const current = await Collection.findById(id);
+    if (!current) {
+      return null;
+    }
+
+    const fields = ['updated_at = CURRENT_TIMESTAMP'];
+    const params = [];
+
+    Object.keys(updates).filter(key => UPDATABLE_FIELDS.includes(key)).forEach(key => {
+      fields.push(`${key} = ?`);
+      params.push(JSON_FIELDS.includes(key) ? JSON.stringify(updates[key]) : updates[key]);
+    });
+
+    const changesStatus = updates.status !== undefined && updates.status !== current.status;
+    if (changesStatus) {
+      assertTransition(current.status, updates.status);
+      fields.push('status = ?');
+      params.push(updates.status);
+    }
+
+    params.push(id, current.status);
+    const db = database.getDatabase();
+
+    const updated = await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE collections SET ${fields.join(', ')} WHERE id = ? AND status = ?`,
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+
+    if (!updated) {
+      const latest = await Collection.findById(id);
+      if (!latest) {
+        return null;
+      }
+      throw new CollectionStateError(latest.status, updates.status || current.status,
+        `Collection moved to "${latest.status}" while it was being updated`);
+    }
+
+    if (changesStatus) {
+      console.log(`🔀 Collection ${id}: ${current.status} → ${updates.status}`);
+    }
+
+    return Collection.findById(id);
+  }
+
+  /**
+   * Move a collection to another status
+   * @param {string} id - Collection ID
+   * @param {string} status - New status
+   * @returns {Promise<boolean>} Whether the collection exists
+   * @throws {CollectionStateError} When the transition is not allowed
+   */
   static async updateStatus(id, status) {
+    return !!(await Collection.update(id, { status }));
+  }
+
+  /**
+   * Pause or resume generation for a collection; the worker skips queued jobs of paused collections
+   * @param {string} id - Collection ID
+   * @param {boolean} paused - Whether generation is paused
+   * @returns {Promise<boolean>} Whether the collection exists
+   */
+  static async setPaused(id, paused) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE collections SET paused = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [paused ? 1 : 0, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Set or clear the reference image every job of a collection is derived from
+   * @param {string} id - Collection ID
+   * @param {string|null} referenceImagePath - Uploaded image path, or null to go back to text-to-image
+   * @param {number|null} imageStrength - How much of the reference survives, 0-1
+   * @returns {Promise<boolean>} Whether the collection exists
+   */
+  static async setReferenceImage(id, referenceImagePath, imageStrength) {
     const db = database.getDatabase();
 
     return new Promise((resolve, reject) => {
       db.run(
-        'UPDATE collections SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [status, id],
+        'UPDATE collections SET reference_image_path = ?, image_strength = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [referenceImagePath, imageStrength, id],
         function(err) {
           if (err) {
             reject(err);
@@ -121,21 +259,30 @@ class Collection {
     });
   }
 
-  static async getStats(id) {
+  /**
+   * Job counts by status
+   * @param {string} id - Collection ID
+   * @param {number|null} dropNumber - Only count the jobs of this drop
+   * @returns {Promise<object>} Counts such as total_jobs, pending_jobs and approved_jobs
+   */
+  static async getStats(id, dropNumber = null) {
     const db = database.getDatabase();
+    const params = dropNumber === null ? [id] : [id, dropNumber];
 
     return new Promise((resolve, reject) => {
       db.get(`
         SELECT 
           COUNT(*) as total_jobs,
           SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_jobs,
+          SUM(CASE WHEN status = 'queued' THEN 1 ELSE 0 END) as queued_jobs,
           SUM(CASE WHEN status = 'generating' THEN 1 ELSE 0 END) as generating_jobs,
           SUM(CASE WHEN status = 'generated' THEN 1 ELSE 0 END) as generated_jobs,
           SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved_jobs,
-          SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_jobs
+          SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_jobs,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_jobs
         FROM jobs 
-        WHERE collection_id = ?
-      `, [id], (err, row) => {
+        WHERE collection_id = ?${dropNumber === null ? '' : ' AND drop_number = ?'}
+      `, params, (err, row) => {
         if (err) {
           reject(err);
         } else {
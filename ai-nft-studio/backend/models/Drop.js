@@ -0,0 +1,186 @@
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+
+/**
+ * One release of a collection. Drops are numbered from 1 and their editions follow
+ * on from the previous drop: a drop of `supply` tokens holds editions
+ * first_edition..last_edition of the collection.
+ */
+class Drop {
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.collection_id = data.collection_id;
+    this.drop_number = data.drop_number;
+    this.supply = data.supply;
+    this.first_edition = data.first_edition;
+    this.last_edition = data.first_edition + data.supply - 1;
+    this.ai_prompt = data.ai_prompt;
+    this.style = data.style || null;
+    this.prompt_slots = typeof data.prompt_slots === 'string' ? JSON.parse(data.prompt_slots) : (data.prompt_slots || []);
+    this.package_path = data.package_path || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  /**
+   * Insert a drop. The (collection_id, drop_number) pair is unique, so two requests
+   * opening the same drop cannot both succeed.
+   * @param {object} dropData - Drop fields
+   * @returns {Promise<Drop>} Created drop
+   */
+  static async create(dropData) {
+    const drop = new Drop(dropData);
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO drops (
+          id, collection_id, drop_number, supply, first_edition, ai_prompt, style, prompt_slots
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          drop.id,
+          drop.collection_id,
+          drop.drop_number,
+          drop.supply,
+          drop.first_edition,
+          drop.ai_prompt,
+          drop.style,
+          JSON.stringify(drop.prompt_slots)
+        ],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            console.log(`✅ Drop ${drop.drop_number} created for collection ${drop.collection_id}`);
+            resolve(drop);
+          }
+        }
+      );
+    });
+  }
+
+  static async findByCollectionId(collectionId) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.all('SELECT * FROM drops WHERE collection_id = ? ORDER BY drop_number ASC', [collectionId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Drop(row)));
+        }
+      });
+    });
+  }
+
+  static async findByNumber(collectionId, dropNumber) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM drops WHERE collection_id = ? AND drop_number = ?', [collectionId, dropNumber], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Drop(row) : null);
+        }
+      });
+    });
+  }
+
+  /**
+   * The most recently opened drop of a collection
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<Drop|null>} Latest drop, or null before the first one is opened
+   */
+  static async findLatest(collectionId) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.get('SELECT * FROM drops WHERE collection_id = ? ORDER BY drop_number DESC LIMIT 1', [collectionId], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? new Drop(row) : null);
+        }
+      });
+    });
+  }
+
+  static async setPackagePath(id, packagePath) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE drops SET package_path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [packagePath, id],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Job counts per drop, keyed by drop number
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<object>} `{ [dropNumber]: { total_jobs, pending_jobs, generated_jobs, approved_jobs, failed_jobs } }`
+   */
+  static async getJobStats(collectionId) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.all(`
+        SELECT
+          drop_number,
+          COUNT(*) as total_jobs,
+          SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_jobs,
+          SUM(CASE WHEN status = 'generated' THEN 1 ELSE 0 END) as generated_jobs,
+          SUM(CASE WHEN status = 'approved' THEN 1 ELSE 0 END) as approved_jobs,
+          SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_jobs
+        FROM jobs
+        WHERE collection_id = ?
+        GROUP BY drop_number
+      `, [collectionId], (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(Object.fromEntries(rows.map(({ drop_number, ...stats }) => [drop_number, stats])));
+        }
+      });
+    });
+  }
+
+  static async delete(id) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM drops WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
+  static async deleteByCollectionId(collectionId) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM drops WHERE collection_id = ?', [collectionId], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+}
+
+module.exports = Drop;
@@ -1,5 +1,7 @@
 const { v4: uuidv4 } = require('uuid');
 const database = require('./database');
+const { assignRarityTiers } = require('../utils/rarityTiers');
+const { expandPrompt } = require('../utils/promptVariations');
 
 class Job {
   constructor(data) {
@@ -7,14 +9,25 @@ class Job {
     this.collection_id = data.collection_id;
     this.edition_number = data.edition_number;
     this.edition_in_drop = data.edition_in_drop;
+    this.drop_number = data.drop_number || 1;
     this.status = data.status || 'pending';
     this.image_url = data.image_url;
     this.image_path = data.image_path;
+    this.image_files = typeof data.image_files === 'string' ? JSON.parse(data.image_files) : (data.image_files || []);
     this.metadata_path = data.metadata_path;
     this.ai_prompt = data.ai_prompt;
     this.style_preset = data.style_preset;
     this.negative_prompt = data.negative_prompt;
     this.seed = data.seed;
+    this.image_provider = data.image_provider;
+    this.provider_metadata = typeof data.provider_metadata === 'string' ? JSON.parse(data.provider_metadata) : (data.provider_metadata || null);
+    this.rarity_tier = data.rarity_tier;
+    this.lease_owner = data.lease_owner;
+    this.lease_expires_at = data.lease_expires_at;
+    this.heartbeat_at = data.heartbeat_at;
+    this.next_attempt_at = data.next_attempt_at;
+    this.error_category = data.error_category;
+    this.prompt_variables = typeof data.prompt_variables === 'string' ? JSON.parse(data.prompt_variables) : (data.prompt_variables || {});
     this.error_message = data.error_message;
     this.retry_count = data.retry_count || 0;
     this.created_at = data.created_at;
@@ -28,9 +41,9 @@ class Job {
     return new Promise((resolve, reject) => {
       const stmt = db.prepare(`
         INSERT INTO jobs (
-          id, collection_id, edition_number, edition_in_drop, 
-          status, ai_prompt, style_preset, negative_prompt, seed, retry_count
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          id, collection_id, edition_number, edition_in_drop, drop_number,
+          status, ai_prompt, style_preset, negative_prompt, seed, image_provider, rarity_tier, prompt_variables, retry_count
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `);
 
       stmt.run([
@@ -38,11 +51,15 @@ class Job {
         job.collection_id,
         job.edition_number,
         job.edition_in_drop,
+        job.drop_number,
         job.status,
         job.ai_prompt,
         job.style_preset,
         job.negative_prompt,
         job.seed,
+        job.image_provider,
+        job.rarity_tier,
+        JSON.stringify(job.prompt_variables),
         job.retry_count
       ], function(err) {
         if (err) {
@@ -58,72 +75,78 @@ class Job {
   }
 
   /**
-   * Create multiple jobs for a collection
+   * Create the jobs of a drop, one per edition from drop.first_edition
    * @param {string} collectionId - Collection ID
-   * @param {number} totalSupply - Number of jobs to create
-   * @param {string} aiPrompt - AI prompt for generation
+   * @param {Drop} drop - Drop with its supply, first edition, prompt (optionally with `{slot}` placeholders) and prompt slots
    * @param {object} advancedParams - Advanced AI parameters
+   * @param {Array<object>} rarityTiers - Tiers still to hand out; the drop takes a random `supply` of them
    * @returns {Promise<Array>} Created jobs
    */
-  static async createBatch(collectionId, totalSupply, aiPrompt, advancedParams = {}) {
+  static async createBatch(collectionId, drop, advancedParams = {}, rarityTiers = []) {
+    const { style_preset, negative_prompt, seed, image_provider } = advancedParams;
+    const tierAssignments = assignRarityTiers(rarityTiers).slice(0, drop.supply);
+    // API clients may send the seed as a string
+    const baseSeed = parseInt(seed, 10);
+
     const jobs = [];
-    const db = database.getDatabase();
-    const { style_preset, negative_prompt, seed } = advancedParams;
+    for (let i = 1; i <= drop.supply; i++) {
+      // Each job fills the prompt slots on its own, then adds the prompt modifier and style of its tier
+      const tier = tierAssignments[i - 1];
+      const { prompt, variables } = expandPrompt(drop.ai_prompt, drop.prompt_slots);
+      const editionNumber = drop.first_edition + i - 1;
 
-    return new Promise((resolve, reject) => {
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-
-        const stmt = db.prepare(`
-          INSERT INTO jobs (
-            id, collection_id, edition_number, edition_in_drop, 
-            status, ai_prompt, style_preset, negative_prompt, seed
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-        `);
-
-        for (let i = 1; i <= totalSupply; i++) {
-          const job = new Job({
-            collection_id: collectionId,
-            edition_number: i,
-            edition_in_drop: i,
-            ai_prompt: aiPrompt,
-            style_preset: style_preset || null,
-            negative_prompt: negative_prompt || null,
-            seed: seed || null
-          });
+      jobs.push(new Job({
+        collection_id: collectionId,
+        edition_number: editionNumber,
+        edition_in_drop: i,
+        drop_number: drop.drop_number,
+        ai_prompt: tier && tier.prompt_modifier ? `${prompt}, ${tier.prompt_modifier}` : prompt,
+        style_preset: (tier && tier.style_preset) || style_preset || null,
+        negative_prompt: negative_prompt || null,
+        // A fixed seed stays reproducible but differs per edition: edition n gets seed + n - 1, across drops too
+        seed: Number.isNaN(baseSeed) ? null : baseSeed + editionNumber - 1,
+        image_provider: image_provider || null,
+        rarity_tier: tier ? tier.name : null,
+        prompt_variables: variables
+      }));
+    }
 
-          stmt.run([
-            job.id,
-            job.collection_id,
-            job.edition_number,
-            job.edition_in_drop,
-            job.status,
-            job.ai_prompt,
-            job.style_preset,
-            job.negative_prompt,
-            job.seed
-          ]);
+    // All jobs of the drop are written together on a connection of their own
+    await database.transaction(async (db) => {
+      const stmt = db.prepare(`
+        INSERT INTO jobs (
+          id, collection_id, edition_number, edition_in_drop, drop_number,
+          status, ai_prompt, style_preset, negative_prompt, seed, image_provider, rarity_tier, prompt_variables
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
 
-          jobs.push(job);
+      try {
+        for (const job of jobs) {
+          await new Promise((resolve, reject) => {
+            stmt.run([
+              job.id,
+              job.collection_id,
+              job.edition_number,
+              job.edition_in_drop,
+              job.drop_number,
+              job.status,
+              job.ai_prompt,
+              job.style_preset,
+              job.negative_prompt,
+              job.seed,
+              job.image_provider,
+              job.rarity_tier,
+              JSON.stringify(job.prompt_variables)
+            ], (err) => (err ? reject(err) : resolve()));
+          });
         }
-
-        stmt.finalize((err) => {
-          if (err) {
-            db.run('ROLLBACK');
-            reject(err);
-          } else {
-            db.run('COMMIT', (err) => {
-              if (err) {
-                reject(err);
-              } else {
-                console.log(`✅ Created ${totalSupply} jobs for collection ${collectionId}`);
-                resolve(jobs);
-              }
-            });
-          }
-        });
-      });
+      } finally {
+        await new Promise((resolve) => stmt.finalize(() => resolve()));
+      }
     });
+
+    console.log(`✅ Created ${drop.supply} jobs for drop ${drop.drop_number} of collection ${collectionId}`);
+    return jobs;
   }
 
   static async findById(id) {
@@ -142,7 +165,7 @@ class Job {
     });
   }
 
-  static async findByCollectionId(collectionId, status = null, limit = null) {
+  static async findByCollectionId(collectionId, status = null, limit = null, offset = 0) {
     const db = database.getDatabase();
     let query = 'SELECT * FROM jobs WHERE collection_id = ?';
     const params = [collectionId];
@@ -155,8 +178,8 @@ class Job {
     query += ' ORDER BY edition_number ASC';
 
     if (limit) {
-      query += ' LIMIT ?';
-      params.push(limit);
+      query += ' LIMIT ? OFFSET ?';
+      params.push(limit, offset || 0);
     }
 
     return new Promise((resolve, reject) => {
@@ -171,6 +194,27 @@ class Job {
     });
   }
 
+  static async countByCollectionId(collectionId, status = null) {
+    const db = database.getDatabase();
+    let query = 'SELECT COUNT(*) as count FROM jobs WHERE collection_id = ?';
+    const params = [collectionId];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    return new Promise((resolve, reject) => {
+      db.get(query, params, (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? row.count : 0);
+        }
+      });
+    });
+  }
+
   static async updateStatus(id, status, additionalData = {}) {
     const db = database.getDatabase();
     const fields = ['status = ?', 'updated_at = CURRENT_TIMESTAMP'];
@@ -199,6 +243,178 @@ class Job {
     });
   }
 
+  /**
+   * Queue the next pending jobs of a drop for the worker, in edition order
+   * @param {string} collectionId - Collection ID
+   * @param {number} dropNumber - Drop whose jobs are queued
+   * @param {number} limit - Maximum number of jobs to queue
+   * @returns {Promise<number>} Number of jobs queued
+   */
+  static async enqueue(collectionId, dropNumber, limit) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (
+          SELECT id FROM jobs
+          WHERE collection_id = ? AND drop_number = ? AND status = 'pending'
+          ORDER BY edition_number ASC
+          LIMIT ?
+        )
+      `, [collectionId, dropNumber, limit], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Lease the oldest queued job of a collection that is not paused and is not waiting to be retried.
+   * The lease is taken with a compare-and-set on the status, so concurrent workers never share a job.
+   * @param {string} workerId - Worker taking the lease
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @returns {Promise<Job|null>} Leased job, or null when nothing is queued
+   */
+  static async claimNext(workerId, leaseMs) {
+    const db = database.getDatabase();
+
+    const candidate = await new Promise((resolve, reject) => {
+      db.get(`
+        SELECT jobs.* FROM jobs
+        JOIN collections ON collections.id = jobs.collection_id
+        WHERE jobs.status = 'queued' AND COALESCE(collections.paused, 0) = 0
+          AND COALESCE(jobs.next_attempt_at, 0) <= ?
+        ORDER BY jobs.updated_at ASC, jobs.edition_number ASC
+        LIMIT 1
+      `, [Date.now()], (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row || null);
+        }
+      });
+    });
+
+    if (!candidate) {
+      return null;
+    }
+
+    const now = Date.now();
+    const claimed = await new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE jobs SET status = 'generating', lease_owner = ?, lease_expires_at = ?, heartbeat_at = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'queued'
+      `, [workerId, now + leaseMs, now, candidate.id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+
+    // Another worker won the race; try the next job
+    if (!claimed) {
+      return this.claimNext(workerId, leaseMs);
+    }
+
+    return new Job({
+      ...candidate,
+      status: 'generating',
+      lease_owner: workerId,
+      lease_expires_at: now + leaseMs,
+      heartbeat_at: now
+    });
+  }
+
+  /**
+   * Extend a lease held by a worker
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker holding the lease
+   * @param {number} leaseMs - Lease duration in milliseconds
+   * @returns {Promise<boolean>} False when the worker no longer holds the lease
+   */
+  static async renewLease(id, workerId, leaseMs) {
+    const db = database.getDatabase();
+    const now = Date.now();
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        'UPDATE jobs SET lease_expires_at = ?, heartbeat_at = ? WHERE id = ? AND lease_owner = ? AND status = ?',
+        [now + leaseMs, now, id, workerId, 'generating'],
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Release a lease and record the job's outcome, unless the lease was lost in the meantime
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker holding the lease
+   * @param {string} status - New job status
+   * @param {object} additionalData - Extra columns to update
+   * @returns {Promise<boolean>} False when the worker no longer held the lease
+   */
+  static async releaseLease(id, workerId, status, additionalData = {}) {
+    const db = database.getDatabase();
+    const fields = ['status = ?', 'lease_owner = NULL', 'lease_expires_at = NULL', 'updated_at = CURRENT_TIMESTAMP'];
+    const params = [status];
+
+    Object.keys(additionalData).forEach(key => {
+      fields.push(`${key} = ?`);
+      params.push(additionalData[key]);
+    });
+
+    params.push(id, workerId);
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE jobs SET ${fields.join(', ')} WHERE id = ? AND lease_owner = ?`,
+        params,
+        function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(this.changes > 0);
+          }
+        }
+      );
+    });
+  }
+
+  /**
+   * Put generating jobs whose lease expired (or that never had one) back in the queue
+   * @returns {Promise<number>} Number of recovered jobs
+   */
+  static async recoverStale() {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run(`
+        UPDATE jobs SET status = 'queued', lease_owner = NULL, lease_expires_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE status = 'generating' AND (lease_expires_at IS NULL OR lease_expires_at < ?)
+      `, [Date.now()], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
   static async incrementRetryCount(id) {
     const db = database.getDatabase();
 
@@ -217,6 +433,87 @@ class Job {
     });
   }
 
+  /**
+   * Jobs of one drop, in edition order
+   * @param {string} collectionId - Collection ID
+   * @param {number} dropNumber - Drop number
+   * @param {string} [status] - Only jobs in this status
+   * @returns {Promise<Array>} Jobs
+   */
+  static async findByDrop(collectionId, dropNumber, status = null) {
+    const db = database.getDatabase();
+    let query = 'SELECT * FROM jobs WHERE collection_id = ? AND drop_number = ?';
+    const params = [collectionId, dropNumber];
+
+    if (status) {
+      query += ' AND status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY edition_number ASC';
+
+    return new Promise((resolve, reject) => {
+      db.all(query, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows.map(row => new Job(row)));
+        }
+      });
+    });
+  }
+
+  /**
+   * How many jobs of a collection were given each rarity tier
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<object>} Job count by tier name
+   */
+  static async countByRarityTier(collectionId) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.all(
+        'SELECT rarity_tier, COUNT(*) as count FROM jobs WHERE collection_id = ? AND rarity_tier IS NOT NULL GROUP BY rarity_tier',
+        [collectionId],
+        (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(Object.fromEntries(rows.map(row => [row.rarity_tier, row.count])));
+          }
+        }
+      );
+    });
+  }
+
+  static async deleteByDrop(collectionId, dropNumber) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM jobs WHERE collection_id = ? AND drop_number = ?', [collectionId, dropNumber], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  static async delete(id) {
+    const db = database.getDatabase();
+
+    return new Promise((resolve, reject) => {
+      db.run('DELETE FROM jobs WHERE id = ?', [id], function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this.changes > 0);
+        }
+      });
+    });
+  }
+
   static async deleteByCollectionId(collectionId) {
     const db = database.getDatabase();
 
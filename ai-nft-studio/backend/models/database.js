@@ -1,8 +1,11 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const Migrator = require('./migrator');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, '../../database/ai-nft-studio.db');
+// How long a write waits for another connection's transaction before failing with SQLITE_BUSY
+const BUSY_TIMEOUT_MS = 5000;
 
 // Ensure database directory exists
 const dbDir = path.dirname(DB_PATH);
@@ -15,97 +18,59 @@ class Database {
     this.db = null;
   }
 
-  connect() {
+  open() {
     return new Promise((resolve, reject) => {
-      this.db = new sqlite3.Database(DB_PATH, (err) => {
+      const db = new sqlite3.Database(DB_PATH, (err) => {
         if (err) {
           console.error('Error opening database:', err.message);
           reject(err);
         } else {
-          console.log('📁 Connected to SQLite database at:', DB_PATH);
-          resolve();
+          db.configure('busyTimeout', BUSY_TIMEOUT_MS);
+          resolve(db);
         }
       });
     });
   }
 
-  initializeDatabase() {
-    return new Promise(async (resolve, reject) => {
-      try {
-        await this.connect();
-        
-        // Create collections table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS collections (
-            id TEXT PRIMARY KEY,
-            name TEXT NOT NULL,
-            symbol TEXT NOT NULL,
-            description TEXT,
-            collection_number TEXT NOT NULL,
-            total_supply INTEGER NOT NULL,
-            drop_supply INTEGER NOT NULL,
-            drop_number INTEGER DEFAULT 1,
-            ai_prompt TEXT,
-            status TEXT DEFAULT 'pending',
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-          )
-        `);
+  async connect() {
+    this.db = await this.open();
+    console.log('📁 Connected to SQLite database at:', DB_PATH);
+  }
 
-        // Create jobs table
-        this.db.run(`
-          CREATE TABLE IF NOT EXISTS jobs (
-            id TEXT PRIMARY KEY,
-            collection_id TEXT NOT NULL,
-            edition_number INTEGER NOT NULL,
-            edition_in_drop INTEGER NOT NULL,
-            status TEXT DEFAULT 'pending',
-            image_url TEXT,
-            image_path TEXT,
-            metadata_path TEXT,
-            ai_prompt TEXT,
-            style_preset TEXT,
-            negative_prompt TEXT,
-            seed INTEGER,
-            error_message TEXT,
-            retry_count INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (collection_id) REFERENCES collections (id)
-          )
-        `);
+  /**
+   * Run writes that must land together on a connection of their own. The shared
+   * connection also carries the worker's lease updates, which a transaction on it
+   * would pick up and could roll back.
+   * @param {Function} work - Async function given the dedicated sqlite3 connection
+   * @returns {Promise<*>} What `work` returns
+   */
+  async transaction(work) {
+    const db = await this.open();
 
-        // Add new columns for advanced AI parameters if they don't exist
-        this.db.run(`ALTER TABLE jobs ADD COLUMN style_preset TEXT`, (err) => {
-          if (err && !err.message.includes('duplicate column')) {
-            console.error('Error adding style_preset column:', err.message);
-          }
-        });
-        
-        this.db.run(`ALTER TABLE jobs ADD COLUMN negative_prompt TEXT`, (err) => {
-          if (err && !err.message.includes('duplicate column')) {
-            console.error('Error adding negative_prompt column:', err.message);
-          }
-        });
-        
-        this.db.run(`ALTER TABLE jobs ADD COLUMN seed INTEGER`, (err) => {
-          if (err && !err.message.includes('duplicate column')) {
-            console.error('Error adding seed column:', err.message);
-          }
-        });
+    try {
+      return await new Migrator(db).transaction(() => work(db));
+    } finally {
+      await new Promise((resolve) => db.close(() => resolve()));
+    }
+  }
 
-        // Create indexes for better performance
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_jobs_collection_id ON jobs(collection_id)');
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status)');
-        this.db.run('CREATE INDEX IF NOT EXISTS idx_collections_status ON collections(status)');
+  /**
+   * Open the database and bring its schema up to date
+   * @returns {Promise<Array<object>>} Migrations applied during this call
+   */
+  async initializeDatabase() {
+    try {
+      await this.connect();
+      const applied = await new Migrator(this.db).migrate();
 
-        console.log('✅ Database tables initialized successfully');
-        resolve();
-      } catch (error) {
-        console.error('❌ Error initializing database:', error);
-        reject(error);
-      }
-    });
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} database migration(s)`
+        : '✅ Database schema is up to date');
+      return applied;
+    } catch (error) {
+      console.error('❌ Error initializing database:', error);
+      throw error;
+    }
   }
 
   getDatabase() {
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Versioned schema migrations.
+ * Every file in backend/migrations named `NNN_name.js` exports
+ * `{ description, up(db) }`. Pending migrations run in version order, each in
+ * its own transaction, and are recorded in the schema_migrations table.
+ */
+class Migrator {
+  /**
+   * @param {object} db - Open sqlite3 database
+   * @param {string} [migrationsDir] - Directory with the migration files
+   */
+  constructor(db, migrationsDir = MIGRATIONS_DIR) {
+    this.db = db;
+    this.migrationsDir = migrationsDir;
+  }
+
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(this);
+        }
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+  }
+
+  /**
+   * Run `work` in an immediate transaction, rolling it back when `work` throws
+   * @param {Function} work - Async function doing the writes
+   * @returns {Promise<*>} What `work` returns
+   */
+  async transaction(work) {
+    await this.run('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const result = await work();
+      await this.run('COMMIT');
+      return result;
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Add a column unless the table already has it. Databases created before the
+   * migration runner got their columns from ad-hoc ALTER TABLE calls.
+   * @param {string} table - Table name
+   * @param {string} definition - Column definition, e.g. "package_path TEXT"
+   * @returns {Promise<boolean>} Whether the column was added
+   */
+  async addColumn(table, definition) {
+    const column = definition.trim().split(/\s+/)[0];
+    const columns = await this.all(`PRAGMA table_info(${table})`);
+    if (columns.some(existing => existing.name === column)) {
+      return false;
+    }
+
+    await this.run(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+    return true;
+  }
+
+  /**
+   * Every migration file, in version order
+   * @returns {Array<object>} Migrations as {id, version, name, description, up}
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(this.migrationsDir, file));
+        return {
+          id: path.basename(file, '.js'),
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (typeof migration.up !== 'function') {
+        throw new Error(`Migration ${migration.id} does not export an up() function`);
+      }
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}`);
+      }
+    });
+
+    return migrations;
+  }
+
+  async ensureMigrationsTable() {
+    await this.run(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Promise<Array<object>>} Migrations as {id, version, name, description, applied_at}; applied_at is null when pending
+   */
+  async status() {
+    await this.ensureMigrationsTable();
+    const applied = await this.all('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+    return this.loadMigrations().map(({ id, version, name, description }) => ({
+      id,
+      version,
+      name,
+      description,
+      applied_at: appliedAt.get(version) || null
+    }));
+  }
+
+  /**
+   * Apply every pending migration. A failing migration is rolled back and stops
+   * the run; the ones before it stay applied.
+   * @returns {Promise<Array<object>>} Migrations applied by this run
+   */
+  async migrate() {
+    const statuses = await this.status();
+    const pendingVersions = new Set(statuses.filter(migration => !migration.applied_at).map(migration => migration.version));
+    const pending = this.loadMigrations().filter(migration => pendingVersions.has(migration.version));
+    const applied = [];
+
+    for (const migration of pending) {
+      console.log(`🗄️  Applying migration ${migration.id}: ${migration.description}`);
+
+      try {
+        await this.transaction(async () => {
+          await migration.up(this);
+          await this.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+      } catch (error) {
+        throw new Error(`Migration ${migration.id} failed: ${error.message}`);
+      }
+
+      applied.push(migration);
+    }
+
+    return applied;
+  }
+}
+
+module.exports = Migrator;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const aiService = require('../services/aiService');
+const { listImageProviders } = require('../services/imageProviders');
 
 /**
  * POST /api/ai/generate-prompt
@@ -90,7 +91,7 @@ router.post('/generate-metadata', async (req, res) => {
  */
 router.post('/generate-image', async (req, res) => {
   try {
-    const { prompt, style_preset, seed } = req.body;
+    const { prompt, style_preset, seed, image_provider } = req.body;
     
     if (!prompt || prompt.trim().length === 0) {
       return res.status(400).json({
@@ -101,22 +102,25 @@ router.post('/generate-image', async (req, res) => {
 
     console.log(`🖼️ Generating test image for prompt: ${prompt.substring(0, 50)}...`);
     
-    const imageData = await aiService.generateImage(prompt, {
+    const { buffer, metadata } = await aiService.renderImage(prompt, {
       style_preset,
-      seed
+      seed,
+      image_provider
     });
     
     res.json({
       success: true,
       image: {
-        data: imageData.toString('base64'),
+        data: buffer.toString('base64'),
         format: 'png',
-        size: '1200x1200'
+        size: `${aiService.imageWidth}x${aiService.imageHeight}`
       },
+      provider: metadata,
       input: {
         prompt,
         style_preset,
-        seed
+        seed,
+        image_provider
       }
     });
   } catch (error) {
@@ -136,7 +140,7 @@ router.get('/test-connection', async (req, res) => {
   try {
     console.log('🔍 Testing AI service connections...');
     
-    const results = await aiService.testConnection();
+    const results = await aiService.testConnections();
     
     res.json({
       success: true,
@@ -290,6 +294,17 @@ router.post('/suggest-variations', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/ai/image-providers
+ * List image generation providers and whether they are configured
+ */
+router.get('/image-providers', (req, res) => {
+  res.json({
+    success: true,
+    providers: listImageProviders()
+  });
+});
+
 /**
  * GET /api/ai/style-presets
  * Get available style presets for image generation
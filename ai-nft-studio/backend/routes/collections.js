@@ -1,10 +1,206 @@
 const express = require('express');
+const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const Collection = require('../models/Collection');
 const Job = require('../models/Job');
+const Drop = require('../models/Drop');
 const aiService = require('../services/aiService');
 const jobService = require('../services/jobService');
 const metadataService = require('../services/metadataService');
+const jobEvents = require('../services/jobEvents');
+const { normalizeCreators, validateCreators } = require('../utils/creators');
+const { getMetadataProfile, listMetadataProfiles } = require('../../../shared/metadataProfiles');
+const { normalizeRarityTiers, validateRarityTiers } = require('../utils/rarityTiers');
+const { normalizePromptSlots, validatePromptSlots } = require('../utils/promptVariations');
+const { getImageProvider } = require('../services/imageProviders');
+const { normalizeImageStrength, validateImageStrength, isReferenceImageFile } = require('../utils/referenceImages');
+const { normalizePostProcessing, validatePostProcessing } = require('../utils/postProcessing');
+const { COLLECTION_STATES, CollectionStateError, assertTransition } = require('../utils/collectionStates');
+const {
+  DEFAULT_COLLECTION_SETTINGS,
+  normalizeCollectionSettings,
+  validateCollectionSettings
+} = require('../utils/collectionSettings');
+const { planNextDrop, normalizeDropSettings, validateDropSettings } = require('../utils/drops');
+const { normalizeSeed, validateSeed } = require('../utils/seeds');
+
+// Reference images live next to the generated images so they are served under /uploads too
+const referencesDir = path.join(aiService.uploadsDir, 'references');
+
+const referenceUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(referencesDir, { recursive: true }, (err) => cb(err, referencesDir));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${req.params.id}-${uuidv4().slice(0, 8)}${path.extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: {
+    fileSize: 20 * 1024 * 1024 // 20MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (isReferenceImageFile(path.extname(file.originalname), file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new Error('Reference image must be a PNG, JPEG or WebP file'));
+  }
+});
+
+/**
+ * Remove an uploaded reference image, ignoring files that are already gone
+ * @param {string|null} referenceImagePath - Stored path
+ */
+function removeReferenceImage(referenceImagePath) {
+  if (referenceImagePath && fs.existsSync(referenceImagePath)) {
+    fs.unlinkSync(referenceImagePath);
+  }
+}
+
+// Fields the jobs are created from; they cannot change once generation has started
+const JOB_SHAPING_FIELDS = ['total_supply', 'ai_prompt', 'rarity_tiers', 'prompt_slots'];
+
+/**
+ * Normalize and validate the configurable fields of a collection. On create every
+ * field is read, with defaults; on update only the fields in the body are, and rules
+ * spanning several fields are checked against the stored values of the others.
+ * @param {object} body - Request body; the prompt may be sent as art_prompt or ai_prompt
+ * @param {Collection|null} current - Stored collection when updating
+ * @returns {{values: object, error: string|null}} Column values to write, or the first validation error
+ */
+function readCollectionFields(body, current = null) {
+  const values = {};
+  const has = (key) => !current || body[key] !== undefined;
+  const fail = (error) => ({ values, error });
+
+  for (const key of ['name', 'symbol', 'description', 'collection_number']) {
+    if (!has(key)) continue;
+    if (!String(body[key] ?? '').trim()) {
+      return fail(`${key} cannot be empty`);
+    }
+    values[key] = body[key];
+  }
+
+  // Only the drop number has a default
+  for (const [key, fallback] of Object.entries({ total_supply: undefined, drop_supply: undefined, drop_number: 1 })) {
+    if (!has(key)) continue;
+    const value = body[key] === undefined || body[key] === '' ? fallback : Number(body[key]);
+    if (!Number.isInteger(value) || value < 1) {
+      return fail(`${key} must be a positive whole number`);
+    }
+    values[key] = value;
+  }
+
+  const totalSupply = values.total_supply ?? current?.total_supply;
+  if ((values.drop_supply ?? current?.drop_supply) > totalSupply) {
+    return fail('Drop supply cannot be greater than total supply');
+  }
+
+  const prompt = body.art_prompt ?? body.ai_prompt;
+  if (!current || prompt !== undefined) {
+    if (!String(prompt ?? '').trim()) {
+      return fail('Art prompt cannot be empty');
+    }
+    values.ai_prompt = prompt;
+  }
+
+  // Validate royalty split
+  if (has('creators')) {
+    try {
+      values.creators = normalizeCreators(body.creators);
+    } catch (error) {
+      return fail('Creators must be a JSON array');
+    }
+
+    const creatorsError = validateCreators(values.creators);
+    if (creatorsError) {
+      return fail(creatorsError);
+    }
+  }
+
+  // Validate rarity tiers; their counts must still add up when only the supply changes
+  if (has('rarity_tiers')) {
+    try {
+      values.rarity_tiers = normalizeRarityTiers(body.rarity_tiers);
+    } catch (error) {
+      return fail('Rarity tiers must be a JSON array');
+    }
+  }
+
+  if (values.rarity_tiers !== undefined || values.total_supply !== undefined) {
+    const tiersError = validateRarityTiers(values.rarity_tiers ?? current.rarity_tiers, totalSupply);
+    if (tiersError) {
+      return fail(tiersError);
+    }
+  }
+
+  // Validate prompt slots against the prompt they fill
+  if (has('prompt_slots')) {
+    try {
+      values.prompt_slots = normalizePromptSlots(body.prompt_slots);
+    } catch (error) {
+      return fail('Prompt slots must be a JSON array');
+    }
+  }
+
+  if (values.prompt_slots !== undefined || values.ai_prompt !== undefined) {
+    const slotsError = validatePromptSlots(values.ai_prompt ?? current.ai_prompt, values.prompt_slots ?? current.prompt_slots);
+    if (slotsError) {
+      return fail(slotsError);
+    }
+  }
+
+  if (has('image_provider')) {
+    if (body.image_provider && !getImageProvider(body.image_provider)) {
+      return fail(`Unknown image provider "${body.image_provider}"`);
+    }
+    values.image_provider = body.image_provider || null;
+  }
+
+  if (has('image_strength')) {
+    values.image_strength = normalizeImageStrength(body.image_strength);
+    const strengthError = validateImageStrength(values.image_strength);
+    if (strengthError) {
+      return fail(strengthError);
+    }
+  }
+
+  // Validate post-processing
+  if (has('post_processing')) {
+    try {
+      values.post_processing = normalizePostProcessing(body.post_processing);
+    } catch (error) {
+      return fail('Post-processing must be a JSON object');
+    }
+
+    const postProcessingError = validatePostProcessing(values.post_processing);
+    if (postProcessingError) {
+      return fail(postProcessingError);
+    }
+  }
+
+  if (values.post_processing !== undefined || values.image_provider !== undefined) {
+    const postProcessing = values.post_processing ?? normalizePostProcessing(current.post_processing);
+    const provider = getImageProvider((values.image_provider !== undefined ? values.image_provider : current.image_provider) || undefined);
+    if (postProcessing.upscaler === 'provider' && postProcessing.upscale > 1 &&
+      (!provider || typeof provider.upscale !== 'function')) {
+      return fail(`${provider ? provider.label : 'The image provider'} has no upscaler; use the lanczos upscaler instead`);
+    }
+  }
+
+  // Art style, batch size, external URL and royalty
+  const settings = normalizeCollectionSettings(body);
+  const settingsError = validateCollectionSettings(settings);
+  if (settingsError) {
+    return fail(settingsError);
+  }
+  Object.assign(values, current ? settings : { ...DEFAULT_COLLECTION_SETTINGS, ...settings });
+
+  return { values, error: null };
+}
 
 /**
  * POST /api/collections
@@ -19,7 +215,6 @@ router.post('/', async (req, res) => {
       collection_number,
       total_supply,
       drop_supply,
-      drop_number,
       art_prompt
     } = req.body;
 
@@ -31,23 +226,17 @@ router.post('/', async (req, res) => {
       });
     }
 
-    if (total_supply < drop_supply) {
+    const { values, error } = readCollectionFields(req.body);
+    if (error) {
       return res.status(400).json({
-        error: 'Drop supply cannot be greater than total supply'
+        error
       });
     }
 
     // Create collection
     const collection = await Collection.create({
-      name,
-      symbol,
-      description,
-      collection_number,
-      total_supply: parseInt(total_supply),
-      drop_supply: parseInt(drop_supply),
-      drop_number: parseInt(drop_number) || 1,
-      art_prompt,
-      status: 'created'
+      ...values,
+      status: COLLECTION_STATES.CREATED
     });
 
     console.log(`✅ Collection created: ${collection.name} (${collection.id})`);
@@ -97,6 +286,17 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/collections/metadata-profiles
+ * List metadata profiles available for packaging
+ */
+router.get('/metadata-profiles', (req, res) => {
+  res.json({
+    success: true,
+    profiles: listMetadataProfiles()
+  });
+});
+
 /**
  * GET /api/collections/:id
  * Get a specific collection
@@ -132,12 +332,13 @@ router.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/collections/:id
- * Update a collection
+ * Update collection settings. Only the fields in the body change and they are
+ * validated like on create; the fields jobs are created from are locked once
+ * generation has started. The status only moves through the action endpoints.
  */
 router.put('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const updates = req.body;
     
     const collection = await Collection.findById(id);
     if (!collection) {
@@ -146,13 +347,52 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    const updatedCollection = await Collection.update(id, updates);
+    const { values, error } = readCollectionFields(req.body, collection);
+    if (error) {
+      return res.status(400).json({
+        error
+      });
+    }
+
+    // Sending the whole form back is fine as long as the locked fields are unchanged
+    const lockedFields = JOB_SHAPING_FIELDS.filter(key =>
+      values[key] !== undefined && JSON.stringify(values[key]) !== JSON.stringify(collection[key]));
+    if (lockedFields.length > 0 && collection.status !== COLLECTION_STATES.CREATED) {
+      return res.status(409).json({
+        error: `${lockedFields.join(', ')} cannot change once generation has started`,
+        status: collection.status
+      });
+    }
+
+    // Each status step comes with work (queueing jobs, writing the package), so only the
+    // action endpoints move it; echoing the current status back is harmless
+    if (req.body.status !== undefined && req.body.status !== collection.status) {
+      return res.status(400).json({
+        error: 'Status cannot be set directly; use generate-initial, continue-generation, drops, package or publish',
+        status: collection.status
+      });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        error: 'No collection fields to update'
+      });
+    }
+
+    const updatedCollection = await Collection.update(id, values);
     
     res.json({
       success: true,
       collection: updatedCollection
     });
   } catch (error) {
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
+    }
+
     console.error('❌ Error updating collection:', error);
     res.status(500).json({
       error: 'Failed to update collection',
@@ -176,11 +416,13 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // Delete all jobs for this collection
+    // Delete all jobs and drops for this collection
     await Job.deleteByCollectionId(id);
+    await Drop.deleteByCollectionId(id);
     
     // Delete the collection
     await Collection.delete(id);
+    removeReferenceImage(collection.reference_image_path);
     
     res.json({
       success: true,
@@ -195,14 +437,116 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/collections/:id/reference-image
+ * Upload the init image every job of the collection is derived from (multipart field "image"),
+ * with an optional image_strength. Without a file, only the strength of the current reference changes.
+ */
+router.post('/:id/reference-image', (req, res, next) => {
+  referenceUpload.single('image')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        error: err.message
+      });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      if (req.file) {
+        removeReferenceImage(req.file.path);
+      }
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const referenceImagePath = req.file ? req.file.path : collection.reference_image_path;
+    if (!referenceImagePath) {
+      return res.status(400).json({
+        error: 'No reference image uploaded'
+      });
+    }
+
+    const imageStrength = normalizeImageStrength(req.body.image_strength ?? collection.image_strength);
+    const strengthError = validateImageStrength(imageStrength);
+    const provider = getImageProvider(collection.image_provider || undefined);
+    const providerError = provider && !provider.supportsReferenceImage
+      ? `${provider.label} does not support reference images`
+      : null;
+
+    if (strengthError || providerError) {
+      if (req.file) {
+        removeReferenceImage(req.file.path);
+      }
+      return res.status(400).json({
+        error: strengthError || providerError
+      });
+    }
+
+    await Collection.setReferenceImage(id, referenceImagePath, imageStrength);
+    if (req.file && collection.reference_image_path !== referenceImagePath) {
+      removeReferenceImage(collection.reference_image_path);
+    }
+
+    console.log(`🖼️ Reference image set for collection ${id} (strength ${imageStrength})`);
+
+    res.json({
+      success: true,
+      collection: await Collection.findById(id)
+    });
+  } catch (error) {
+    console.error('❌ Error setting reference image:', error);
+    res.status(500).json({
+      error: 'Failed to set reference image',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/collections/:id/reference-image
+ * Go back to text-to-image for the jobs still to generate
+ */
+router.delete('/:id/reference-image', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    await Collection.setReferenceImage(id, null, collection.image_strength);
+    removeReferenceImage(collection.reference_image_path);
+
+    res.json({
+      success: true,
+      collection: await Collection.findById(id)
+    });
+  } catch (error) {
+    console.error('❌ Error removing reference image:', error);
+    res.status(500).json({
+      error: 'Failed to remove reference image',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/collections/:id/generate-initial
- * Generate initial test batch (first 3 NFTs)
+ * Open the first drop (drop_supply jobs) and generate its initial test batch (first 3 NFTs)
  */
 router.post('/:id/generate-initial', async (req, res) => {
   try {
     const { id } = req.params;
-    const { style_preset, negative_prompt, seed } = req.body;
+    const { style_preset, negative_prompt } = req.body;
     
     const collection = await Collection.findById(id);
     if (!collection) {
@@ -211,6 +555,15 @@ router.post('/:id/generate-initial', async (req, res) => {
       });
     }
 
+    // A seed past the provider limit would only fail once its edition is generated
+    const seed = normalizeSeed(req.body.seed);
+    const seedError = validateSeed(seed, collection.total_supply);
+    if (seedError) {
+      return res.status(400).json({
+        error: seedError
+      });
+    }
+
     // Check if initial batch already exists
     const existingJobs = await Job.findByCollectionId(id);
     if (existingJobs.length > 0) {
@@ -219,8 +572,8 @@ router.post('/:id/generate-initial', async (req, res) => {
       });
     }
 
-    // Update collection status
-    await Collection.update(id, { status: 'generating_initial' });
+    // Move the collection first, so the worker can move it on as soon as the batch drains
+    await Collection.update(id, { status: COLLECTION_STATES.GENERATING_INITIAL });
 
     // Prepare advanced parameters
     const advancedParams = {
@@ -229,8 +582,16 @@ router.post('/:id/generate-initial', async (req, res) => {
       seed
     };
 
-    // Start initial batch generation
-    const jobs = await jobService.createInitialBatch(id, advancedParams);
+    // Start initial batch generation; a failed start leaves the collection as it was
+    let jobs;
+    try {
+      jobs = await jobService.createInitialBatch(id, advancedParams);
+    } catch (error) {
+      await Job.deleteByCollectionId(id);
+      await Drop.deleteByCollectionId(id);
+      await Collection.update(id, { status: COLLECTION_STATES.CREATED });
+      throw error;
+    }
     
     res.json({
       success: true,
@@ -239,15 +600,14 @@ router.post('/:id/generate-initial', async (req, res) => {
       collection_id: id
     });
   } catch (error) {
-    console.error('❌ Error generating initial batch:', error);
-    
-    // Update collection status to error
-    try {
-      await Collection.update(req.params.id, { status: 'error' });
-    } catch (updateError) {
-      console.error('❌ Error updating collection status:', updateError);
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
     }
-    
+
+    console.error('❌ Error generating initial batch:', error);
     res.status(500).json({
       error: 'Failed to generate initial batch',
       details: error.message
@@ -262,7 +622,6 @@ router.post('/:id/generate-initial', async (req, res) => {
 router.post('/:id/continue-generation', async (req, res) => {
   try {
     const { id } = req.params;
-    const { batch_size = 100 } = req.body;
     
     const collection = await Collection.findById(id);
     if (!collection) {
@@ -271,39 +630,316 @@ router.post('/:id/continue-generation', async (req, res) => {
       });
     }
 
-    // Check if there are pending jobs
-    const pendingJobs = await Job.findByCollectionId(id, 'pending');
+    // The batch size saved on the collection applies unless the request overrides it
+    const batchSize = parseInt(req.body.batch_size) || collection.batch_size || undefined;
+
+    // Check if the latest drop has pending jobs; queueBatch only takes jobs from it
+    const latestDrop = await Drop.findLatest(id);
+    const pendingJobs = latestDrop ? await Job.findByDrop(id, latestDrop.drop_number, 'pending') : [];
     if (pendingJobs.length === 0) {
       return res.status(400).json({
         error: 'No pending jobs found for this collection'
       });
     }
 
-    // Update collection status
-    await Collection.update(id, { status: 'generating_batch' });
+    // Refuse early while a batch is still running or the collection is packaged;
+    // assertTransition alone lets generating_batch through as a move to itself
+    if (collection.status === COLLECTION_STATES.GENERATING_BATCH) {
+      throw new CollectionStateError(collection.status, COLLECTION_STATES.GENERATING_BATCH,
+        'A batch is still generating for this collection');
+    }
+    assertTransition(collection.status, COLLECTION_STATES.GENERATING_BATCH);
 
-    // Start batch generation
-    const processedJobs = await jobService.processBatch(id, batch_size);
+    // Queue the next batch for the worker, then mark the collection as generating
+    const queuedJobs = await jobService.queueBatch(id, batchSize);
+    await Collection.update(id, { status: COLLECTION_STATES.GENERATING_BATCH });
+    // A tiny batch may have drained before the status changed
+    await jobService.syncCollectionStatus(id);
     
     res.json({
       success: true,
       message: 'Batch generation started',
-      processed_jobs: processedJobs.length,
-      remaining_jobs: pendingJobs.length - processedJobs.length,
+      queued_jobs: queuedJobs,
+      remaining_jobs: pendingJobs.length - queuedJobs,
       collection_id: id
     });
   } catch (error) {
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
+    }
+
     console.error('❌ Error continuing generation:', error);
+    res.status(500).json({
+      error: 'Failed to continue generation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id/drops
+ * List the drops of a collection with their job counts, and what the next drop would be
+ */
+router.get('/:id/drops', async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    // Update collection status to error
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const drops = await Drop.findByCollectionId(id);
+    const stats = await Drop.getJobStats(id);
+    
+    res.json({
+      success: true,
+      drops: drops.map(drop => ({
+        ...drop,
+        stats: stats[drop.drop_number] || {}
+      })),
+      next_drop: planNextDrop(collection, drops[drops.length - 1] || null)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching drops:', error);
+    res.status(500).json({
+      error: 'Failed to fetch drops',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/collections/:id/drops
+ * Open the next drop once the latest one is complete, packaged or published. The drop
+ * takes `supply` editions after the previous drop (collection drop_supply by default) and
+ * may bring its own art_prompt, prompt_slots and style. Its initial test batch is queued
+ * like generate-initial, with the same style_preset, negative_prompt and seed options.
+ */
+router.post('/:id/drops', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { style_preset, negative_prompt } = req.body;
+    
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const latestDrop = await Drop.findLatest(id);
+    if (!latestDrop) {
+      return res.status(400).json({
+        error: 'Generate the initial batch to open the first drop'
+      });
+    }
+
+    // Only a finished drop makes room for the next one
+    if (collection.status === COLLECTION_STATES.GENERATING_INITIAL) {
+      throw new CollectionStateError(collection.status, COLLECTION_STATES.GENERATING_INITIAL,
+        `Drop ${latestDrop.drop_number} is still generating its initial batch`);
+    }
+    assertTransition(collection.status, COLLECTION_STATES.GENERATING_INITIAL);
+
+    const plan = planNextDrop(collection, latestDrop);
+    let settings;
     try {
-      await Collection.update(req.params.id, { status: 'error' });
-    } catch (updateError) {
-      console.error('❌ Error updating collection status:', updateError);
+      settings = normalizeDropSettings(req.body, collection, plan);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Prompt slots must be a JSON array'
+      });
+    }
+
+    const seed = normalizeSeed(req.body.seed);
+    const settingsError = validateDropSettings(settings, plan) || validateSeed(seed, collection.total_supply);
+    if (settingsError) {
+      return res.status(400).json({
+        error: settingsError
+      });
     }
+
+    const { drop, jobs, queued } = await jobService.openNextDrop(collection, settings, {
+      style_preset,
+      negative_prompt,
+      seed
+    });
     
+    res.status(201).json({
+      success: true,
+      message: `Drop ${drop.drop_number} opened`,
+      drop,
+      jobs: jobs.length,
+      queued_jobs: queued,
+      collection_id: id
+    });
+  } catch (error) {
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
+    }
+
+    // Two requests raced for the same drop number
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      return res.status(409).json({
+        error: 'The next drop was opened by another request'
+      });
+    }
+
+    console.error('❌ Error opening drop:', error);
     res.status(500).json({
-      error: 'Failed to continue generation',
+      error: 'Failed to open drop',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/collections/:id/pause
+ * Stop the worker from starting queued jobs of a collection
+ */
+router.post('/:id/pause', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const updated = await Collection.setPaused(id, true);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Generation paused; jobs already generating will finish',
+      progress: await jobService.getCollectionProgress(id)
+    });
+  } catch (error) {
+    console.error('❌ Error pausing collection:', error);
+    res.status(500).json({
+      error: 'Failed to pause generation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/collections/:id/resume
+ * Let the worker pick up queued jobs of a collection again
+ */
+router.post('/:id/resume', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const updated = await Collection.setPaused(id, false);
+    if (!updated) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Generation resumed',
+      progress: await jobService.getCollectionProgress(id)
+    });
+  } catch (error) {
+    console.error('❌ Error resuming collection:', error);
+    res.status(500).json({
+      error: 'Failed to resume generation',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id/events
+ * Server-Sent Events stream of the collection's job lifecycle events
+ * (queued, generating, generated, approved, failed, deleted), each with the job's image URLs
+ */
+router.get('/:id/events', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+    });
+    res.flushHeaders();
+
+    // Ask browsers to reconnect after 5 seconds, then report where the collection stands
+    res.write('retry: 5000\n\n');
+    const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+    send({
+      type: 'progress',
+      progress: await jobService.getCollectionProgress(id),
+      timestamp: new Date().toISOString()
+    });
+
+    const unsubscribe = jobEvents.subscribe(id, send);
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 25000);
+
+    console.log(`📡 Event stream opened for collection ${id} (${jobEvents.getSubscriberCount(id)} open)`);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`📡 Event stream closed for collection ${id}`);
+    });
+  } catch (error) {
+    console.error('❌ Error opening event stream:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      error: 'Failed to open event stream',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/collections/:id/progress
+ * Get generation progress for a collection
+ */
+router.get('/:id/progress', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      progress: await jobService.getCollectionProgress(id)
+    });
+  } catch (error) {
+    console.error('❌ Error fetching collection progress:', error);
+    res.status(500).json({
+      error: 'Failed to fetch collection progress',
       details: error.message
     });
   }
@@ -347,13 +983,58 @@ router.get('/:id/jobs', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/collections/:id/duplicates
+ * Report exact and near duplicate images in a collection, or in one drop with ?drop=
+ */
+router.get('/:id/duplicates', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, drop, threshold } = req.query;
+    
+    const collection = await Collection.findById(id);
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    const report = await jobService.findDuplicateJobs(id, {
+      status,
+      dropNumber: drop === undefined ? null : parseInt(drop),
+      threshold: threshold === undefined ? undefined : parseInt(threshold)
+    });
+    
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('❌ Error checking duplicates:', error);
+    res.status(500).json({
+      error: 'Failed to check duplicates',
+      details: error.message
+    });
+  }
+});
+
 /**
  * POST /api/collections/:id/package
- * Create downloadable package for approved NFTs
+ * Create a downloadable package for one drop (`drop_number`, the latest drop by default) with only
+ * its approved NFTs. Packaging the latest drop moves the collection to packaged; earlier drops
+ * can be packaged again at any time.
  */
 router.post('/:id/package', async (req, res) => {
   try {
     const { id } = req.params;
+    const { metadata_profile, block_duplicates, include_rarity_rank, drop_number } = req.body;
+    
+    const profile = getMetadataProfile(metadata_profile);
+    if (!profile) {
+      return res.status(400).json({
+        error: `Unknown metadata profile "${metadata_profile}"`
+      });
+    }
     
     const collection = await Collection.findById(id);
     if (!collection) {
@@ -362,30 +1043,82 @@ router.post('/:id/package', async (req, res) => {
       });
     }
 
+    const latestDrop = await Drop.findLatest(id);
+    const drop = drop_number === undefined || drop_number === null
+      ? latestDrop
+      : await Drop.findByNumber(id, parseInt(drop_number));
+    if (!drop) {
+      return res.status(404).json({
+        error: latestDrop ? `Drop ${drop_number} not found` : 'No drop has been generated yet'
+      });
+    }
+
+    // The status follows the latest drop: packaging it waits until every job has been generated,
+    // and a packaged drop may be packaged again. Earlier drops finished before the next one opened.
+    const isLatestDrop = drop.drop_number === latestDrop.drop_number;
+    if (isLatestDrop) {
+      const stats = await Collection.getStats(id, drop.drop_number);
+      const unfinishedJobs = (stats.pending_jobs || 0) + (stats.queued_jobs || 0) + (stats.generating_jobs || 0);
+      if (unfinishedJobs > 0) {
+        return res.status(409).json({
+          error: `Drop ${drop.drop_number} still has ${unfinishedJobs} jobs to generate`,
+          status: collection.status
+        });
+      }
+
+      assertTransition(collection.status, COLLECTION_STATES.PACKAGED);
+    }
+
     // Check if there are approved jobs
-    const approvedJobs = await Job.findByCollectionId(id, 'approved');
+    const approvedJobs = await Job.findByDrop(id, drop.drop_number, 'approved');
     if (approvedJobs.length === 0) {
       return res.status(400).json({
-        error: 'No approved NFTs found for this collection'
+        error: `No approved NFTs found for drop ${drop.drop_number}`
       });
     }
 
+    // Optionally refuse to package approved images of the drop that duplicate each other
+    if (block_duplicates) {
+      const report = await jobService.findDuplicateJobs(id, { status: 'approved', dropNumber: drop.drop_number });
+      if (report.summary.total > 0) {
+        return res.status(409).json({
+          error: `Approved NFTs contain ${report.summary.exact} exact and ${report.summary.near} near duplicates`,
+          report
+        });
+      }
+    }
+
     // Create package
-    const packagePath = await metadataService.createCollectionPackage(id);
+    const packagePath = await metadataService.createCollectionPackage(id, profile, {
+      dropNumber: drop.drop_number,
+      includeRarityRank: !!include_rarity_rank
+    });
+    await Drop.setPackagePath(drop.id, packagePath);
     
     // Update collection status
-    await Collection.update(id, { 
-      status: 'packaged',
-      package_path: packagePath
-    });
+    if (isLatestDrop) {
+      await Collection.update(id, { 
+        status: COLLECTION_STATES.PACKAGED,
+        package_path: packagePath
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Collection package created successfully',
+      message: `Package for drop ${drop.drop_number} created successfully`,
       package_path: packagePath,
+      drop_number: drop.drop_number,
+      metadata_profile: profile.id,
       approved_nfts: approvedJobs.length
     });
   } catch (error) {
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
+    }
+
     console.error('❌ Error creating package:', error);
     res.status(500).json({
       error: 'Failed to create package',
@@ -396,7 +1129,7 @@ router.post('/:id/package', async (req, res) => {
 
 /**
  * GET /api/collections/:id/download
- * Download collection package
+ * Download the package of a drop (?drop=, the latest drop by default)
  */
 router.get('/:id/download', async (req, res) => {
   try {
@@ -409,25 +1142,34 @@ router.get('/:id/download', async (req, res) => {
       });
     }
 
-    if (!collection.package_path) {
+    const drop = req.query.drop === undefined
+      ? await Drop.findLatest(id)
+      : await Drop.findByNumber(id, parseInt(req.query.drop));
+    if (req.query.drop !== undefined && !drop) {
+      return res.status(404).json({
+        error: `Drop ${req.query.drop} not found`
+      });
+    }
+
+    const packagePath = drop ? drop.package_path : null;
+    if (!packagePath) {
       return res.status(400).json({
         error: 'Package not created yet. Please create package first.'
       });
     }
 
-    const fs = require('fs');
-    if (!fs.existsSync(collection.package_path)) {
+    if (!fs.existsSync(packagePath)) {
       return res.status(404).json({
         error: 'Package file not found'
       });
     }
 
-    const filename = `${collection.name.replace(/[^a-zA-Z0-9]/g, '_')}_${collection.collection_number}.zip`;
+    const filename = path.basename(packagePath);
     
     res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
     res.setHeader('Content-Type', 'application/zip');
     
-    const fileStream = fs.createReadStream(collection.package_path);
+    const fileStream = fs.createReadStream(packagePath);
     fileStream.pipe(res);
   } catch (error) {
     console.error('❌ Error downloading package:', error);
@@ -438,4 +1180,39 @@ router.get('/:id/download', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/collections/:id/publish
+ * Mark a packaged collection as published once it has been uploaded and minted
+ */
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const collection = await Collection.update(id, { status: COLLECTION_STATES.PUBLISHED });
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      collection
+    });
+  } catch (error) {
+    if (error instanceof CollectionStateError) {
+      return res.status(409).json({
+        error: error.message,
+        status: error.from
+      });
+    }
+
+    console.error('❌ Error publishing collection:', error);
+    res.status(500).json({
+      error: 'Failed to publish collection',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,8 @@ const Job = require('../models/Job');
 const Collection = require('../models/Collection');
 const jobService = require('../services/jobService');
 const metadataService = require('../services/metadataService');
+const jobEvents = require('../services/jobEvents');
+const { mimeTypeForPath, jobImagePaths } = require('../utils/postProcessing');
 
 /**
  * GET /api/jobs
@@ -54,7 +56,15 @@ router.get('/:id', async (req, res) => {
     
     res.json({
       success: true,
-      job
+      job,
+      // Why the job stopped, or why it is waiting for another attempt
+      failure: job.error_category ? {
+        category: job.error_category,
+        reason: job.error_message,
+        retries: job.retry_count,
+        terminal: job.status === 'failed',
+        next_attempt_at: job.next_attempt_at ? new Date(job.next_attempt_at).toISOString() : null
+      } : null
     });
   } catch (error) {
     console.error('❌ Error fetching job:', error);
@@ -150,9 +160,9 @@ router.post('/:id/regenerate', async (req, res) => {
       });
     }
 
-    if (!['generated', 'error'].includes(job.status)) {
+    if (!['generated', 'error', 'failed'].includes(job.status)) {
       return res.status(400).json({
-        error: 'Job must be in generated or error status to regenerate',
+        error: 'Job must be in generated, error or failed status to regenerate',
         current_status: job.status
       });
     }
@@ -191,14 +201,17 @@ router.delete('/:id', async (req, res) => {
 
     // Clean up associated files
     const fs = require('fs');
-    if (job.image_path && fs.existsSync(job.image_path)) {
-      fs.unlinkSync(job.image_path);
-    }
+    jobImagePaths(job).forEach(imagePath => {
+      if (fs.existsSync(imagePath)) {
+        fs.unlinkSync(imagePath);
+      }
+    });
     if (job.metadata_path && fs.existsSync(job.metadata_path)) {
       fs.unlinkSync(job.metadata_path);
     }
 
     await Job.delete(id);
+    jobEvents.publish('deleted', job);
     
     res.json({
       success: true,
@@ -215,7 +228,7 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * GET /api/jobs/:id/image
- * Get job image
+ * Get job image; `?variant=thumbnail` serves another post-processed variant
  */
 router.get('/:id/image', async (req, res) => {
   try {
@@ -228,23 +241,27 @@ router.get('/:id/image', async (req, res) => {
       });
     }
 
-    if (!job.image_path) {
+    const variant = req.query.variant || 'image';
+    const variantFile = job.image_files.find(file => file.variant === variant);
+    const imagePath = variant === 'image' ? job.image_path : variantFile?.path;
+
+    if (!imagePath) {
       return res.status(404).json({
-        error: 'Image not available for this job'
+        error: variant === 'image' ? 'Image not available for this job' : `No ${variant} variant for this job`
       });
     }
 
     const fs = require('fs');
-    if (!fs.existsSync(job.image_path)) {
+    if (!fs.existsSync(imagePath)) {
       return res.status(404).json({
         error: 'Image file not found'
       });
     }
 
-    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Type', variantFile?.type || mimeTypeForPath(imagePath));
     res.setHeader('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
     
-    const fileStream = fs.createReadStream(job.image_path);
+    const fileStream = fs.createReadStream(imagePath);
     fileStream.pipe(res);
   } catch (error) {
     console.error('❌ Error serving job image:', error);
@@ -376,8 +393,8 @@ router.post('/batch-regenerate', async (req, res) => {
           continue;
         }
 
-        if (!['generated', 'error'].includes(job.status)) {
-          errors.push({ job_id: jobId, error: 'Job must be in generated or error status to regenerate' });
+        if (!['generated', 'error', 'failed'].includes(job.status)) {
+          errors.push({ job_id: jobId, error: 'Job must be in generated, error or failed status to regenerate' });
           continue;
         }
 
@@ -424,7 +441,8 @@ router.get('/stats', async (req, res) => {
         generating: allJobs.filter(j => j.status === 'generating').length,
         generated: allJobs.filter(j => j.status === 'generated').length,
         approved: allJobs.filter(j => j.status === 'approved').length,
-        error: allJobs.filter(j => j.status === 'error').length
+        error: allJobs.filter(j => j.status === 'error').length,
+        failed: allJobs.filter(j => j.status === 'failed').length
       };
     }
     
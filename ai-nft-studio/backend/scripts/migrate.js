@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Show or apply schema migrations without starting the server.
+ *
+ *   node scripts/migrate.js status   List applied and pending migrations
+ *   node scripts/migrate.js up       Apply pending migrations
+ */
+require('dotenv').config();
+
+const database = require('../models/database');
+const Migrator = require('../models/migrator');
+
+const COMMANDS = ['status', 'up'];
+
+async function showStatus(migrator) {
+  const migrations = await migrator.status();
+  const pending = migrations.filter(migration => !migration.applied_at);
+
+  migrations.forEach(migration => {
+    const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${migration.id}  ${state}  ${migration.description}`);
+  });
+  console.log(`\n${migrations.length - pending.length} applied, ${pending.length} pending`);
+}
+
+async function applyPending(migrator) {
+  const applied = await migrator.migrate();
+  console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to apply');
+}
+
+async function main() {
+  const command = process.argv[2] || 'status';
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node scripts/migrate.js <${COMMANDS.join('|')}>`);
+    process.exitCode = 1;
+    return;
+  }
+
+  await database.connect();
+  try {
+    const migrator = new Migrator(database.getDatabase());
+    if (command === 'up') {
+      await applyPending(migrator);
+    } else {
+      await showStatus(migrator);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -33,9 +33,8 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/output', express.static(path.join(__dirname, 'output')));
 
-// Initialize database
 const db = require('./models/database');
-db.initializeDatabase();
+const jobWorker = require('./services/jobWorker');
 
 // Routes
 const collectionsRouter = require('./routes/collections');
@@ -93,11 +92,25 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 AI NFT Studio Backend running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+// Apply pending migrations, then start the background job worker and the server
+db.initializeDatabase()
+  .then(() => jobWorker.start())
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`🚀 AI NFT Studio Backend running on port ${PORT}`);
+      console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
+      console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
+    });
+  })
+  .catch((error) => {
+    console.error('❌ Failed to start server:', error);
+    process.exit(1);
+  });
+
+// Stop taking new jobs on shutdown; leases of unfinished jobs expire and they are re-queued on the next boot
+process.on('SIGTERM', () => {
+  jobWorker.stop();
+  process.exit(0);
 });
 
 module.exports = app;
\ No newline at end of file
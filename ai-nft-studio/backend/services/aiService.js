@@ -1,6 +1,13 @@
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const sharp = require('sharp');
+const { ERROR_CATEGORIES, GenerationError, classifyGenerationError } = require('../utils/generationErrors');
+const { MOCK_AI, getImageProvider, listImageProviders } = require('./imageProviders');
+const { mockArtPrompt, mockCollectionMetadata } = require('../utils/mockResponses');
+const { getLlmProvider, listLlmProviders } = require('./llmProviders');
+const { parseJsonAnswer, validateCollectionMetadata } = require('../utils/llmSchemas');
+const { DEFAULT_POST_PROCESSING, postProcessImage } = require('../utils/postProcessing');
 
 class AIService {
   constructor() {
@@ -9,6 +16,7 @@ class AIService {
     this.imageWidth = parseInt(process.env.IMAGE_WIDTH) || 1200;
     this.imageHeight = parseInt(process.env.IMAGE_HEIGHT) || 1200;
     this.uploadsDir = process.env.UPLOADS_DIR || './uploads';
+    this.mockMode = MOCK_AI;
     
     // Ensure uploads directory exists
     if (!fs.existsSync(this.uploadsDir)) {
@@ -17,12 +25,39 @@ class AIService {
   }
 
   /**
-   * Generate AI art prompt using Gemini LLM
+   * Complete a meta-prompt with the configured LLM provider
+   * @param {string} prompt - Meta-prompt
+   * @param {object} options - Provider options, e.g. {json: true}
+   * @returns {Promise<string>} Model answer
+   */
+  async completeWithLlm(prompt, options = {}) {
+    const provider = getLlmProvider();
+    if (!provider) {
+      throw new Error(`Unknown LLM provider "${process.env.LLM_PROVIDER}"`);
+    }
+
+    return provider.complete(prompt, options);
+  }
+
+  /**
+   * Generate AI art prompt with the LLM provider
    * @param {string} keywords - User input keywords
+   * @param {object} options - Optional style, mood and additional_context
    * @returns {Promise<string>} Generated art prompt
    */
-  async generateArtPrompt(keywords) {
+  async generateArtPrompt(keywords, options = {}) {
+    if (this.mockMode) {
+      return mockArtPrompt(keywords, options);
+    }
+
     try {
+      const { style, mood, additional_context } = options;
+      const guidance = [
+        style && `- Use this artistic style: ${style}`,
+        mood && `- Convey this mood: ${mood}`,
+        additional_context && `- Also take into account: ${additional_context}`
+      ].filter(Boolean).join('\n');
+
       const metaPrompt = `
         You are an expert AI art prompt engineer for NFT collections. 
         Based on the following keywords: "${keywords}", 
@@ -33,27 +68,14 @@ class AIService {
         - Descriptive and vivid
         - Include artistic style references
         - Specify colors, mood, and composition
-        - Be suitable for 1200x1200px square format
+        - Be suitable for ${this.imageWidth}x${this.imageHeight}px square format
         - Avoid copyrighted characters or brands
+        ${guidance}
         
         Return only the art prompt, no additional text.
       `;
 
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${this.geminiApiKey}`,
-        {
-          contents: [{
-            parts: [{ text: metaPrompt }]
-          }]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const generatedPrompt = response.data.candidates[0].content.parts[0].text.trim();
+      const generatedPrompt = await this.completeWithLlm(metaPrompt);
       console.log('🎨 Generated art prompt:', generatedPrompt);
       return generatedPrompt;
     } catch (error) {
@@ -63,19 +85,32 @@ class AIService {
   }
 
   /**
-   * Generate collection metadata using Gemini LLM
+   * Generate collection metadata with the LLM provider.
+   * The answer must be a JSON object matching the schema; an invalid answer is sent
+   * back once with the validation errors before giving up.
    * @param {string} artPrompt - The art prompt to base metadata on
+   * @param {object} options - Optional collection_theme and target_audience
    * @returns {Promise<object>} Generated metadata
    */
-  async generateCollectionMetadata(artPrompt) {
+  async generateCollectionMetadata(artPrompt, options = {}) {
+    if (this.mockMode) {
+      return mockCollectionMetadata(artPrompt);
+    }
+
     try {
+      const { collection_theme, target_audience } = options;
+      const guidance = [
+        collection_theme && `- Fit the collection theme: ${collection_theme}`,
+        target_audience && `- Appeal to this audience: ${target_audience}`
+      ].filter(Boolean).join('\n');
+
       const metaPrompt = `
         Based on this art prompt: "${artPrompt}"
         
         Generate NFT collection metadata in the following JSON format:
         {
           "collection_name": "Creative collection name (max 50 characters)",
-          "symbol": "3-6 character symbol (uppercase)",
+          "symbol": "3-6 character symbol (uppercase letters or digits)",
           "description": "Engaging description (max 200 characters)"
         }
         
@@ -83,35 +118,36 @@ class AIService {
         - Professional and marketable
         - Relevant to the art prompt
         - Suitable for the Solana/Metaplex ecosystem
+        ${guidance}
         
         Return only valid JSON, no additional text.
       `;
 
-      const response = await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${this.geminiApiKey}`,
-        {
-          contents: [{
-            parts: [{ text: metaPrompt }]
-          }]
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      const generatedText = response.data.candidates[0].content.parts[0].text.trim();
-      
-      // Extract JSON from response
-      const jsonMatch = generatedText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No valid JSON found in response');
+      let answer = await this.completeWithLlm(metaPrompt, { json: true });
+      let result = this.parseCollectionMetadata(answer);
+
+      if (!result.value) {
+        console.warn('⚠️ Invalid collection metadata, asking for a correction:', result.errors);
+        answer = await this.completeWithLlm(`
+          ${metaPrompt}
+
+          Your previous answer was:
+          ${answer}
+
+          It was rejected because:
+          ${result.errors.map(error => `- ${error}`).join('\n')}
+
+          Return a corrected JSON object only.
+        `, { json: true });
+        result = this.parseCollectionMetadata(answer);
       }
 
-      const metadata = JSON.parse(jsonMatch[0]);
-      console.log('📝 Generated collection metadata:', metadata);
-      return metadata;
+      if (!result.value) {
+        throw new Error(`Invalid collection metadata: ${result.errors.join('; ')}`);
+      }
+
+      console.log('📝 Generated collection metadata:', result.value);
+      return result.value;
     } catch (error) {
       console.error('❌ Error generating collection metadata:', error.response?.data || error.message);
       throw new Error('Failed to generate collection metadata');
@@ -119,78 +155,143 @@ class AIService {
   }
 
   /**
-   * Generate image using Stability AI
+   * Parse and validate a collection metadata answer
+   * @param {string} answer - Model answer
+   * @returns {{value: object|null, errors: Array<string>}} Validation result
+   */
+  parseCollectionMetadata(answer) {
+    try {
+      return validateCollectionMetadata(parseJsonAnswer(answer));
+    } catch (error) {
+      return { value: null, errors: [`The answer is not valid JSON: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Generate an image with a pluggable provider
    * @param {string} prompt - The art prompt
-   * @param {string} jobId - Job ID for file naming
    * @param {object} advancedParams - Advanced AI parameters (optional)
+   * @param {string} advancedParams.image_provider - Provider id (defaults to IMAGE_PROVIDER)
    * @param {string} advancedParams.style_preset - Style preset for the image
    * @param {string} advancedParams.negative_prompt - What to avoid in the image
    * @param {number} advancedParams.seed - Seed for reproducible results
-   * @returns {Promise<string>} Path to generated image
+   * @param {string} advancedParams.reference_image_path - Init image to derive the result from (optional)
+   * @param {number} advancedParams.image_strength - How much of the init image survives, 0-1
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} Image data and provider metadata
    */
-  async generateImage(prompt, jobId, advancedParams = {}) {
+  async renderImage(prompt, advancedParams = {}) {
+    const provider = getImageProvider(advancedParams.image_provider || undefined);
+    if (!provider) {
+      throw new GenerationError(`Unknown image provider "${advancedParams.image_provider}"`, ERROR_CATEGORIES.INVALID_REQUEST);
+    }
+
+    const { reference_image_path: referenceImagePath, ...params } = advancedParams;
+    if (referenceImagePath && !provider.supportsReferenceImage) {
+      throw new GenerationError(`${provider.label} does not support reference images`, ERROR_CATEGORIES.INVALID_REQUEST);
+    }
+
     try {
-      console.log(`🎨 Generating image for job ${jobId}...`);
-      
-      // Build request body with advanced parameters
-      const requestBody = {
-        text_prompts: [
-          {
-            text: prompt,
-            weight: 1
-          }
-        ],
-        cfg_scale: 7,
-        height: this.imageHeight,
-        width: this.imageWidth,
-        samples: 1,
-        steps: 30
-      };
-
-      // Add negative prompt if provided
-      if (advancedParams.negative_prompt && advancedParams.negative_prompt.trim()) {
-        requestBody.text_prompts.push({
-          text: advancedParams.negative_prompt,
-          weight: -1
-        });
+      if (referenceImagePath) {
+        params.init_image = await this.loadReferenceImage(referenceImagePath);
       }
 
-      // Add style preset if provided
-      if (advancedParams.style_preset) {
-        requestBody.style_preset = advancedParams.style_preset;
-      }
+      const result = await provider.generate(prompt, {
+        ...params,
+        width: this.imageWidth,
+        height: this.imageHeight
+      });
 
-      // Add seed if provided
-      if (advancedParams.seed && !isNaN(advancedParams.seed)) {
-        requestBody.seed = parseInt(advancedParams.seed);
+      if (referenceImagePath) {
+        result.metadata = {
+          ...result.metadata,
+          reference_image: path.basename(referenceImagePath),
+          image_strength: params.image_strength
+        };
       }
 
-      console.log('🎨 Request body with advanced params:', JSON.stringify(requestBody, null, 2));
+      return result;
+    } catch (error) {
+      console.error(`❌ Error generating image with ${provider.id}:`, error.response?.data || error.message);
+      throw classifyGenerationError(error);
+    }
+  }
 
-      const response = await axios.post(
-        'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-        requestBody,
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${this.stabilityApiKey}`
-          }
-        }
-      );
-
-      const imageData = response.data.artifacts[0].base64;
-      const imagePath = path.join(this.uploadsDir, `${jobId}.png`);
-      
-      // Save image to file
-      fs.writeFileSync(imagePath, imageData, 'base64');
-      
-      console.log(`✅ Image generated and saved: ${imagePath}`);
-      return imagePath;
+  /**
+   * Read a reference image as a PNG cropped to the output size, which is what
+   * every image-to-image provider expects
+   * @param {string} referenceImagePath - Path of the uploaded reference
+   * @returns {Promise<Buffer>} PNG data
+   */
+  async loadReferenceImage(referenceImagePath) {
+    if (!fs.existsSync(referenceImagePath)) {
+      throw new GenerationError(`Reference image not found: ${referenceImagePath}`, ERROR_CATEGORIES.INVALID_REQUEST);
+    }
+
+    return sharp(referenceImagePath)
+      .resize(this.imageWidth, this.imageHeight, { fit: 'cover' })
+      .png()
+      .toBuffer();
+  }
+
+  /**
+   * Upscale an image with a provider's own upscaler
+   * @param {Buffer} buffer - Image data
+   * @param {number} factor - Upscale factor
+   * @param {string} [providerId] - Provider id (defaults to IMAGE_PROVIDER)
+   * @returns {Promise<Buffer>} Upscaled image data
+   */
+  async upscaleWithProvider(buffer, factor, providerId) {
+    const provider = getImageProvider(providerId || undefined);
+    if (!provider || typeof provider.upscale !== 'function') {
+      throw new GenerationError(`${provider ? provider.label : providerId} has no upscaler`, ERROR_CATEGORIES.INVALID_REQUEST);
+    }
+
+    try {
+      return await provider.upscale(buffer, factor);
     } catch (error) {
-      console.error('❌ Error generating image:', error.response?.data || error.message);
-      throw new Error(`Failed to generate image: ${error.response?.data?.message || error.message}`);
+      console.error(`❌ Error upscaling image with ${provider.id}:`, error.response?.data || error.message);
+      throw classifyGenerationError(error);
+    }
+  }
+
+  /**
+   * Generate an image for a job, run it through the post-processing pipeline
+   * and save every variant to the uploads directory
+   * @param {string} prompt - The art prompt
+   * @param {string} jobId - Job ID for file naming
+   * @param {object} advancedParams - Advanced AI parameters, see renderImage
+   * @param {object} postProcessing - Normalized post-processing settings of the collection
+   * @returns {Promise<{imagePath: string, files: Array<object>, metadata: object}>} Main image path,
+   *   every written variant as {variant, path, type, width, height}, and provider metadata
+   */
+  async generateImage(prompt, jobId, advancedParams = {}, postProcessing = DEFAULT_POST_PROCESSING) {
+    console.log(`🎨 Generating image for job ${jobId}...`);
+
+    const { buffer, metadata } = await this.renderImage(prompt, advancedParams);
+    const { image, thumbnail } = await postProcessImage(buffer, postProcessing,
+      (data, factor) => this.upscaleWithProvider(data, factor, advancedParams.image_provider));
+
+    const files = [{ variant: 'image', ...image, path: path.join(this.uploadsDir, `${jobId}.${image.extension}`) }];
+    if (thumbnail) {
+      files.push({ variant: 'thumbnail', ...thumbnail, path: path.join(this.uploadsDir, `${jobId}_thumb.${thumbnail.extension}`) });
     }
+
+    // Save every variant to file
+    files.forEach(file => fs.writeFileSync(file.path, file.buffer));
+
+    const imagePath = files[0].path;
+    console.log(`✅ Image generated with ${metadata.provider} and saved: ${imagePath} (${image.width}x${image.height})`);
+    return {
+      imagePath,
+      files: files.map(({ variant, path: filePath, mimeType, width, height }) => ({
+        variant,
+        path: filePath,
+        type: mimeType,
+        width,
+        height
+      })),
+      metadata
+    };
   }
 
   /**
@@ -200,7 +301,10 @@ class AIService {
   validateApiKeys() {
     const results = {
       stabilityAI: !!this.stabilityApiKey,
-      gemini: !!this.geminiApiKey
+      gemini: !!this.geminiApiKey,
+      mock: this.mockMode,
+      llmProviders: listLlmProviders(),
+      imageProviders: listImageProviders()
     };
 
     console.log('🔑 API Keys validation:', results);
@@ -214,22 +318,21 @@ class AIService {
   async testConnections() {
     const results = {
       stabilityAI: false,
-      gemini: false
+      llm: false
     };
 
-    // Test Gemini API
+    // Nothing to reach over the network in mock mode
+    if (this.mockMode) {
+      console.log('🧪 Mock AI mode: skipping connection tests');
+      return { stabilityAI: true, llm: true, mock: true };
+    }
+
+    // Test the LLM provider
     try {
-      await axios.post(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${this.geminiApiKey}`,
-        {
-          contents: [{
-            parts: [{ text: 'Hello, this is a test.' }]
-          }]
-        }
-      );
-      results.gemini = true;
+      await this.completeWithLlm('Hello, this is a test.');
+      results.llm = true;
     } catch (error) {
-      console.error('❌ Gemini API test failed:', error.response?.data || error.message);
+      console.error('❌ LLM provider test failed:', error.response?.data || error.message);
     }
 
     // Test Stability AI API
@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+/**
+ * Local Automatic1111 Stable Diffusion WebUI, started with --api
+ */
+class Automatic1111Provider {
+  constructor() {
+    this.id = 'automatic1111';
+    this.label = 'Automatic1111 (local)';
+    this.baseUrl = (process.env.AUTOMATIC1111_URL || 'http://127.0.0.1:7860').replace(/\/$/, '');
+    this.upscaler = process.env.AUTOMATIC1111_UPSCALER || 'R-ESRGAN 4x+';
+    this.supportsReferenceImage = true;
+  }
+
+  isConfigured() {
+    return !!process.env.AUTOMATIC1111_URL;
+  }
+
+  /**
+   * Generate an image with /sdapi/v1/txt2img, or /sdapi/v1/img2img when a reference image is given
+   * @param {string} prompt - The art prompt
+   * @param {object} params - Generation parameters
+   * @param {number} params.width - Image width
+   * @param {number} params.height - Image height
+   * @param {string} [params.style_preset] - Style preset id, added to the prompt
+   * @param {string} [params.negative_prompt] - What to avoid in the image
+   * @param {number} [params.seed] - Seed for reproducible results
+   * @param {Buffer} [params.init_image] - Reference PNG, already sized to width x height
+   * @param {number} [params.image_strength] - How much of the reference survives, 0-1
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} PNG data and provider metadata
+   */
+  async generate(prompt, params) {
+    const requestBody = {
+      prompt: params.style_preset ? `${prompt}, ${params.style_preset.replace(/-/g, ' ')} style` : prompt,
+      negative_prompt: params.negative_prompt || '',
+      seed: params.seed && !isNaN(params.seed) ? parseInt(params.seed) : -1,
+      steps: 30,
+      cfg_scale: 7,
+      width: params.width,
+      height: params.height,
+      batch_size: 1
+    };
+
+    if (params.init_image) {
+      // Denoising strength is the opposite of image strength: 1 repaints everything
+      requestBody.init_images = [params.init_image.toString('base64')];
+      requestBody.denoising_strength = 1 - params.image_strength;
+    }
+
+    const endpoint = params.init_image ? 'img2img' : 'txt2img';
+    const response = await axios.post(`${this.baseUrl}/sdapi/v1/${endpoint}`, requestBody);
+
+    // `info` is a JSON string describing what was actually used
+    let info = {};
+    try {
+      info = JSON.parse(response.data.info || '{}');
+    } catch (error) {
+      console.warn('⚠️ Could not parse Automatic1111 generation info:', error.message);
+    }
+
+    return {
+      buffer: Buffer.from(response.data.images[0], 'base64'),
+      metadata: {
+        provider: this.id,
+        model: info.sd_model_name || null,
+        seed: info.seed ?? null,
+        sampler: info.sampler_name || null
+      }
+    };
+  }
+
+  /**
+   * Upscale an image with /sdapi/v1/extra-single-image and AUTOMATIC1111_UPSCALER
+   * @param {Buffer} image - Image data
+   * @param {number} factor - Upscale factor
+   * @returns {Promise<Buffer>} Upscaled PNG data
+   */
+  async upscale(image, factor) {
+    const response = await axios.post(`${this.baseUrl}/sdapi/v1/extra-single-image`, {
+      image: image.toString('base64'),
+      resize_mode: 0,
+      upscaling_resize: factor,
+      upscaler_1: this.upscaler
+    });
+
+    return Buffer.from(response.data.image, 'base64');
+  }
+}
+
+module.exports = Automatic1111Provider;
@@ -0,0 +1,161 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const POLL_INTERVAL = 1000;
+
+/**
+ * Local ComfyUI server, driven with a basic text-to-image workflow
+ * (image-to-image when a reference image is given)
+ */
+class ComfyUIProvider {
+  constructor() {
+    this.id = 'comfyui';
+    this.label = 'ComfyUI (local)';
+    this.baseUrl = (process.env.COMFYUI_URL || 'http://127.0.0.1:8188').replace(/\/$/, '');
+    this.checkpoint = process.env.COMFYUI_CHECKPOINT || 'sd_xl_base_1.0.safetensors';
+    this.timeout = parseInt(process.env.PROCESSING_TIMEOUT) || 300000;
+    this.supportsReferenceImage = true;
+  }
+
+  isConfigured() {
+    return !!process.env.COMFYUI_URL;
+  }
+
+  /**
+   * Checkpoint → prompts → sampler → VAE decode → save, in ComfyUI's API format.
+   * With a reference image the sampler starts from its encoded latent instead of
+   * an empty one, and only denoises part of it.
+   */
+  buildWorkflow(prompt, negativePrompt, seed, params, referenceName = null) {
+    const workflow = {
+      '3': {
+        class_type: 'KSampler',
+        inputs: {
+          seed,
+          steps: 30,
+          cfg: 7,
+          sampler_name: 'euler',
+          scheduler: 'normal',
+          denoise: 1,
+          model: ['4', 0],
+          positive: ['6', 0],
+          negative: ['7', 0],
+          latent_image: ['5', 0]
+        }
+      },
+      '4': {
+        class_type: 'CheckpointLoaderSimple',
+        inputs: { ckpt_name: this.checkpoint }
+      },
+      '5': {
+        class_type: 'EmptyLatentImage',
+        inputs: { width: params.width, height: params.height, batch_size: 1 }
+      },
+      '6': {
+        class_type: 'CLIPTextEncode',
+        inputs: { text: prompt, clip: ['4', 1] }
+      },
+      '7': {
+        class_type: 'CLIPTextEncode',
+        inputs: { text: negativePrompt, clip: ['4', 1] }
+      },
+      '8': {
+        class_type: 'VAEDecode',
+        inputs: { samples: ['3', 0], vae: ['4', 2] }
+      },
+      '9': {
+        class_type: 'SaveImage',
+        inputs: { filename_prefix: 'ai-nft-studio', images: ['8', 0] }
+      }
+    };
+
+    if (referenceName) {
+      workflow['10'] = {
+        class_type: 'LoadImage',
+        inputs: { image: referenceName }
+      };
+      workflow['11'] = {
+        class_type: 'VAEEncode',
+        inputs: { pixels: ['10', 0], vae: ['4', 2] }
+      };
+      workflow['3'].inputs.latent_image = ['11', 0];
+      workflow['3'].inputs.denoise = 1 - params.image_strength;
+      delete workflow['5'];
+    }
+
+    return workflow;
+  }
+
+  /**
+   * Upload a reference image to ComfyUI's input folder
+   * @param {Buffer} image - PNG data
+   * @returns {Promise<string>} Name to pass to LoadImage
+   */
+  async uploadReference(image) {
+    const form = new FormData();
+    form.append('image', new Blob([image], { type: 'image/png' }), `ai-nft-studio-${uuidv4()}.png`);
+    form.append('overwrite', 'true');
+
+    const response = await axios.post(`${this.baseUrl}/upload/image`, form);
+    return response.data.subfolder ? `${response.data.subfolder}/${response.data.name}` : response.data.name;
+  }
+
+  /**
+   * Queue the workflow, wait for it in /history and download the saved image
+   * @param {string} prompt - The art prompt
+   * @param {object} params - Generation parameters
+   * @param {number} params.width - Image width
+   * @param {number} params.height - Image height
+   * @param {string} [params.style_preset] - Style preset id, added to the prompt
+   * @param {string} [params.negative_prompt] - What to avoid in the image
+   * @param {number} [params.seed] - Seed for reproducible results
+   * @param {Buffer} [params.init_image] - Reference PNG, already sized to width x height
+   * @param {number} [params.image_strength] - How much of the reference survives, 0-1
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} PNG data and provider metadata
+   */
+  async generate(prompt, params) {
+    // ComfyUI has no "random seed" value, so pick one here to record it
+    const seed = params.seed && !isNaN(params.seed) ? parseInt(params.seed) : Math.floor(Math.random() * 2 ** 32);
+    const fullPrompt = params.style_preset ? `${prompt}, ${params.style_preset.replace(/-/g, ' ')} style` : prompt;
+
+    const referenceName = params.init_image ? await this.uploadReference(params.init_image) : null;
+
+    const queued = await axios.post(`${this.baseUrl}/prompt`, {
+      prompt: this.buildWorkflow(fullPrompt, params.negative_prompt || '', seed, params, referenceName),
+      client_id: uuidv4()
+    });
+    const promptId = queued.data.prompt_id;
+
+    const deadline = Date.now() + this.timeout;
+    while (Date.now() < deadline) {
+      const history = await axios.get(`${this.baseUrl}/history/${promptId}`);
+      const entry = history.data[promptId];
+
+      if (entry && entry.outputs && entry.outputs['9']) {
+        const image = entry.outputs['9'].images[0];
+        const file = await axios.get(`${this.baseUrl}/view`, {
+          params: { filename: image.filename, subfolder: image.subfolder, type: image.type },
+          responseType: 'arraybuffer'
+        });
+
+        return {
+          buffer: Buffer.from(file.data),
+          metadata: {
+            provider: this.id,
+            model: this.checkpoint,
+            seed,
+            prompt_id: promptId
+          }
+        };
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    const error = new Error(`ComfyUI did not finish prompt ${promptId} within ${this.timeout}ms`);
+    error.code = 'ETIMEDOUT';
+    throw error;
+  }
+}
+
+module.exports = ComfyUIProvider;
@@ -0,0 +1,57 @@
+const StabilityProvider = require('./stabilityProvider');
+const OpenAIProvider = require('./openaiProvider');
+const Automatic1111Provider = require('./automatic1111Provider');
+const ComfyUIProvider = require('./comfyuiProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Image generation providers.
+ * Each provider exposes `generate(prompt, params)` resolving to `{buffer, metadata}`,
+ * where `metadata.provider` is the provider id. Providers with their own upscaler
+ * also expose `upscale(buffer, factor)` resolving to the upscaled image.
+ */
+const providers = [
+  new StabilityProvider(),
+  new OpenAIProvider(),
+  new Automatic1111Provider(),
+  new ComfyUIProvider(),
+  new MockProvider()
+];
+
+// MOCK_AI=true routes every request to the offline mock, whatever the collection asked for
+const MOCK_AI = process.env.MOCK_AI === 'true';
+
+const DEFAULT_IMAGE_PROVIDER = MOCK_AI ? 'mock' : (process.env.IMAGE_PROVIDER || 'stability');
+
+/**
+ * Look up an image provider
+ * @param {string} [id] - Provider id; defaults to IMAGE_PROVIDER
+ * @returns {object|null} Provider, or null when the id is unknown
+ */
+function getImageProvider(id = DEFAULT_IMAGE_PROVIDER) {
+  const provider = providers.find(candidate => candidate.id === id) || null;
+  return provider && MOCK_AI ? providers.find(candidate => candidate.id === 'mock') : provider;
+}
+
+/**
+ * Describe the available image providers
+ * @returns {Array<{id: string, label: string, configured: boolean, supports_reference_image: boolean,
+ *   supports_upscale: boolean, default: boolean}>} Providers
+ */
+function listImageProviders() {
+  return providers.map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    supports_reference_image: !!provider.supportsReferenceImage,
+    supports_upscale: typeof provider.upscale === 'function',
+    default: provider.id === DEFAULT_IMAGE_PROVIDER
+  }));
+}
+
+module.exports = {
+  MOCK_AI,
+  DEFAULT_IMAGE_PROVIDER,
+  getImageProvider,
+  listImageProviders
+};
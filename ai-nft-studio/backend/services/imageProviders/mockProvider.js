@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+/**
+ * Offline placeholder images: a gradient derived from the seed and prompt,
+ * with the edition number written in the middle. Same input, same image.
+ * A reference image shows through the gradient as much as its strength asks.
+ */
+class MockProvider {
+  constructor() {
+    this.id = 'mock';
+    this.label = 'Mock (offline)';
+    this.delay = parseInt(process.env.MOCK_AI_DELAY) || 0;
+    this.supportsReferenceImage = true;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Render a placeholder image
+   * @param {string} prompt - The art prompt
+   * @param {object} params - Generation parameters
+   * @param {number} params.width - Image width
+   * @param {number} params.height - Image height
+   * @param {number} [params.seed] - Seed; defaults to one derived from the prompt
+   * @param {number} [params.edition_number] - Edition number to render
+   * @param {Buffer} [params.init_image] - Reference PNG, already sized to width x height
+   * @param {number} [params.image_strength] - How much of the reference survives, 0-1
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} PNG data and provider metadata
+   */
+  async generate(prompt, params) {
+    const digest = crypto.createHash('sha256').update(`${params.seed ?? ''}|${prompt}`).digest();
+    const seed = params.seed && !isNaN(params.seed) ? parseInt(params.seed) : digest.readUInt32BE(0);
+    const from = `hsl(${digest[4] * 360 / 256}, 70%, 45%)`;
+    const to = `hsl(${digest[5] * 360 / 256}, 80%, 25%)`;
+    const angle = digest[6] * 360 / 256;
+    const label = params.edition_number !== undefined && params.edition_number !== null ? `#${params.edition_number}` : 'MOCK';
+    const fontSize = Math.round(Math.min(params.width, params.height) / 5);
+    const gradientOpacity = params.init_image ? 1 - params.image_strength : 1;
+
+    const svg = `
+      <svg xmlns="http://www.w3.org/2000/svg" width="${params.width}" height="${params.height}">
+        <defs>
+          <linearGradient id="g" gradientTransform="rotate(${angle.toFixed(1)}, 0.5, 0.5)">
+            <stop offset="0%" stop-color="${from}" />
+            <stop offset="100%" stop-color="${to}" />
+          </linearGradient>
+        </defs>
+        <rect width="100%" height="100%" fill="url(#g)" fill-opacity="${gradientOpacity}" />
+        <text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle"
+          font-family="sans-serif" font-weight="bold" font-size="${fontSize}" fill="white" fill-opacity="0.85">${label}</text>
+      </svg>
+    `;
+
+    if (this.delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.delay));
+    }
+
+    const buffer = params.init_image
+      ? await sharp(params.init_image).composite([{ input: Buffer.from(svg) }]).png().toBuffer()
+      : await sharp(Buffer.from(svg)).png().toBuffer();
+
+    return {
+      buffer,
+      metadata: {
+        provider: this.id,
+        model: 'gradient-placeholder',
+        seed
+      }
+    };
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,76 @@
+const axios = require('axios');
+
+/**
+ * OpenAI Images API (DALL·E / gpt-image)
+ */
+class OpenAIProvider {
+  constructor() {
+    this.id = 'openai';
+    this.label = 'OpenAI Images';
+    this.apiKey = process.env.OPENAI_API_KEY || process.env.DALLE_API_KEY;
+    this.model = process.env.OPENAI_IMAGE_MODEL || 'dall-e-3';
+    this.size = process.env.OPENAI_IMAGE_SIZE || '1024x1024';
+    // The Images API has no init image with a strength, only masked edits
+    this.supportsReferenceImage = false;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate an image. The Images API has no seed, negative prompt or style preset,
+   * so the preset and negative prompt are written into the prompt instead.
+   * @param {string} prompt - The art prompt
+   * @param {object} params - Generation parameters
+   * @param {string} [params.style_preset] - Style preset id, e.g. "digital-art"
+   * @param {string} [params.negative_prompt] - What to avoid in the image
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} PNG data and provider metadata
+   */
+  async generate(prompt, params) {
+    let fullPrompt = prompt;
+    if (params.style_preset) {
+      fullPrompt += `, ${params.style_preset.replace(/-/g, ' ')} style`;
+    }
+    if (params.negative_prompt && params.negative_prompt.trim()) {
+      fullPrompt += `. Avoid: ${params.negative_prompt}`;
+    }
+
+    const requestBody = {
+      model: this.model,
+      prompt: fullPrompt,
+      n: 1,
+      size: this.size
+    };
+
+    // gpt-image models always answer with base64; DALL·E needs to be asked
+    if (this.model.startsWith('dall-e')) {
+      requestBody.response_format = 'b64_json';
+    }
+
+    const response = await axios.post(
+      'https://api.openai.com/v1/images/generations',
+      requestBody,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      }
+    );
+
+    const image = response.data.data[0];
+
+    return {
+      buffer: Buffer.from(image.b64_json, 'base64'),
+      metadata: {
+        provider: this.id,
+        model: this.model,
+        size: this.size,
+        revised_prompt: image.revised_prompt || null
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
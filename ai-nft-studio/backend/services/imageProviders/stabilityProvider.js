@@ -0,0 +1,135 @@
+const axios = require('axios');
+const { ERROR_CATEGORIES, GenerationError } = require('../../utils/generationErrors');
+
+/**
+ * Stability AI REST v1 text-to-image, and image-to-image when a reference image is given
+ */
+class StabilityProvider {
+  constructor() {
+    this.id = 'stability';
+    this.label = 'Stability AI';
+    this.apiKey = process.env.STABILITY_AI_API_KEY;
+    this.engine = process.env.STABILITY_ENGINE || 'stable-diffusion-xl-1024-v1-0';
+    this.supportsReferenceImage = true;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Generate an image
+   * @param {string} prompt - The art prompt
+   * @param {object} params - Generation parameters
+   * @param {number} params.width - Image width
+   * @param {number} params.height - Image height
+   * @param {string} [params.style_preset] - Stability style preset
+   * @param {string} [params.negative_prompt] - What to avoid in the image
+   * @param {number} [params.seed] - Seed for reproducible results
+   * @param {Buffer} [params.init_image] - Reference PNG, already sized to width x height
+   * @param {number} [params.image_strength] - How much of the reference survives, 0-1
+   * @returns {Promise<{buffer: Buffer, metadata: object}>} PNG data and provider metadata
+   */
+  async generate(prompt, params) {
+    const requestBody = {
+      text_prompts: [
+        {
+          text: prompt,
+          weight: 1
+        }
+      ],
+      cfg_scale: 7,
+      height: params.height,
+      width: params.width,
+      samples: 1,
+      steps: 30
+    };
+
+    // Add negative prompt if provided
+    if (params.negative_prompt && params.negative_prompt.trim()) {
+      requestBody.text_prompts.push({
+        text: params.negative_prompt,
+        weight: -1
+      });
+    }
+
+    // Add style preset if provided
+    if (params.style_preset) {
+      requestBody.style_preset = params.style_preset;
+    }
+
+    // Add seed if provided
+    if (params.seed && !isNaN(params.seed)) {
+      requestBody.seed = parseInt(params.seed);
+    }
+
+    const response = params.init_image
+      ? await this.imageToImage(requestBody, params)
+      : await axios.post(
+        `https://api.stability.ai/v1/generation/${this.engine}/text-to-image`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+            'Authorization': `Bearer ${this.apiKey}`
+          }
+        }
+      );
+
+    const artifact = response.data.artifacts[0];
+
+    // Stability returns a blurred image instead of an error when its safety filter triggers
+    if (artifact.finishReason === 'CONTENT_FILTERED') {
+      throw new GenerationError('Failed to generate image: the result was blocked by the content filter', ERROR_CATEGORIES.CONTENT_FILTERED);
+    }
+
+    return {
+      buffer: Buffer.from(artifact.base64, 'base64'),
+      metadata: {
+        provider: this.id,
+        model: this.engine,
+        seed: artifact.seed,
+        style_preset: params.style_preset || null
+      }
+    };
+  }
+
+  /**
+   * Post a text-to-image request body as a multipart image-to-image request.
+   * The output takes the size of the init image, so width and height are not sent.
+   * @param {object} requestBody - Body built for text-to-image
+   * @param {object} params - Generation parameters with init_image and image_strength
+   * @returns {Promise<object>} Axios response
+   */
+  async imageToImage(requestBody, params) {
+    const form = new FormData();
+    form.append('init_image', new Blob([params.init_image], { type: 'image/png' }), 'init_image.png');
+    form.append('init_image_mode', 'IMAGE_STRENGTH');
+    form.append('image_strength', String(params.image_strength));
+
+    requestBody.text_prompts.forEach((textPrompt, index) => {
+      form.append(`text_prompts[${index}][text]`, textPrompt.text);
+      form.append(`text_prompts[${index}][weight]`, String(textPrompt.weight));
+    });
+
+    ['cfg_scale', 'samples', 'steps', 'style_preset', 'seed'].forEach((field) => {
+      if (requestBody[field] !== undefined) {
+        form.append(field, String(requestBody[field]));
+      }
+    });
+
+    return axios.post(
+      `https://api.stability.ai/v1/generation/${this.engine}/image-to-image`,
+      form,
+      {
+        headers: {
+          'Accept': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      }
+    );
+  }
+}
+
+module.exports = StabilityProvider;
@@ -0,0 +1,76 @@
+const { EventEmitter } = require('events');
+
+/**
+ * In-process publish/subscribe for job lifecycle events, one channel per collection.
+ * The worker and the job service publish whenever a job changes state; every open
+ * Server-Sent Events stream subscribes to the channel of the collection it watches.
+ */
+class JobEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, and several tabs may watch the same collection
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish a job's new state to the subscribers of its collection
+   * @param {string} type - Event type: queued, generating, generated, approved, failed or deleted
+   * @param {Job} job - Job after the change
+   * @param {object} [details] - Extra fields for the event, e.g. the retry schedule
+   */
+  publish(type, job, details = {}) {
+    this.emitter.emit(job.collection_id, {
+      type,
+      ...details,
+      job: this.describeJob(job),
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Listen to the events of one collection
+   * @param {string} collectionId - Collection ID
+   * @param {Function} listener - Called with every event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(collectionId, listener) {
+    this.emitter.on(collectionId, listener);
+    return () => this.emitter.off(collectionId, listener);
+  }
+
+  /**
+   * The part of a job a grid tile needs, with URLs for its image variants
+   * @param {Job} job - Job object
+   * @returns {object} Job fields
+   */
+  describeJob(job) {
+    const hasThumbnail = (job.image_files || []).some(file => file.variant === 'thumbnail');
+
+    return {
+      id: job.id,
+      collection_id: job.collection_id,
+      edition_number: job.edition_number,
+      edition_in_drop: job.edition_in_drop,
+      drop_number: job.drop_number,
+      status: job.status,
+      image_url: job.image_url || null,
+      thumbnail_url: job.image_url && hasThumbnail ? `${job.image_url}?variant=thumbnail` : null,
+      rarity_tier: job.rarity_tier || null,
+      error_message: job.error_message || null,
+      error_category: job.error_category || null,
+      retry_count: job.retry_count,
+      next_attempt_at: job.next_attempt_at || null
+    };
+  }
+
+  /**
+   * Number of open subscriptions for a collection
+   * @param {string} collectionId - Collection ID
+   * @returns {number} Listener count
+   */
+  getSubscriberCount(collectionId) {
+    return this.emitter.listenerCount(collectionId);
+  }
+}
+
+module.exports = new JobEvents();
@@ -1,39 +1,67 @@
 const Job = require('../models/Job');
 const Collection = require('../models/Collection');
+const Drop = require('../models/Drop');
 const aiService = require('./aiService');
 const metadataService = require('./metadataService');
+const jobEvents = require('./jobEvents');
 const fs = require('fs');
 const path = require('path');
+const { fingerprintImage, findDuplicates, summarizeDuplicates } = require('../utils/duplicates');
+const { normalizePostProcessing, jobImagePaths } = require('../utils/postProcessing');
+const { COLLECTION_STATES, CollectionStateError, canTransition } = require('../utils/collectionStates');
+const { remainingRarityTiers } = require('../utils/rarityTiers');
+const { planNextDrop, normalizeDropSettings } = require('../utils/drops');
 
 class JobService {
   constructor() {
-    this.isProcessing = false;
-    this.currentBatch = [];
     this.initialBatchSize = parseInt(process.env.INITIAL_BATCH_SIZE) || 3;
     this.continueBatchSize = parseInt(process.env.CONTINUE_BATCH_SIZE) || 100;
   }
 
   /**
-   * Create jobs for a collection
-   * @param {string} collectionId - Collection ID
-   * @param {number} totalSupply - Total number of NFTs
-   * @param {string} aiPrompt - AI prompt for generation
+   * Open the next drop of a collection and create its jobs. Editions continue after the
+   * previous drop and rarity tiers are drawn from the counts earlier drops left over.
+   * @param {Collection} collection - Collection object
+   * @param {object} settings - Drop supply, prompt, style and prompt slots (see utils/drops)
    * @param {object} advancedParams - Advanced AI parameters
-   * @returns {Promise<Array>} Created jobs
+   * @returns {Promise<{drop: Drop, jobs: Array}>} The drop and its jobs
    */
-  async createJobsForCollection(collectionId, totalSupply, aiPrompt, advancedParams = {}) {
+  async createDrop(collection, settings, advancedParams = {}) {
     try {
-      console.log(`📋 Creating ${totalSupply} jobs for collection ${collectionId}`);
-      const jobs = await Job.createBatch(collectionId, totalSupply, aiPrompt, advancedParams);
-      return jobs;
+      const plan = planNextDrop(collection, await Drop.findLatest(collection.id));
+      const drop = await Drop.create({
+        ...settings,
+        collection_id: collection.id,
+        drop_number: plan.drop_number,
+        first_edition: plan.first_edition
+      });
+
+      let jobs;
+      try {
+        const assignedTiers = await Job.countByRarityTier(collection.id);
+        jobs = await Job.createBatch(
+          collection.id,
+          drop,
+          { ...advancedParams, image_provider: collection.image_provider },
+          remainingRarityTiers(collection.rarity_tiers, assignedTiers)
+        );
+        await Collection.update(collection.id, { drop_number: drop.drop_number });
+      } catch (error) {
+        await Job.deleteByDrop(collection.id, drop.drop_number);
+        await Drop.delete(drop.id);
+        throw error;
+      }
+
+      console.log(`📋 Drop ${drop.drop_number} of collection ${collection.id}: editions ${drop.first_edition}-${drop.last_edition}`);
+      return { drop, jobs };
     } catch (error) {
-      console.error('❌ Error creating jobs:', error);
+      console.error('❌ Error creating drop:', error);
       throw error;
     }
   }
 
   /**
-   * Create initial batch of jobs and start processing
+   * Create the first drop of a collection from its own settings and start processing
    * @param {string} collectionId - Collection ID
    * @param {object} advancedParams - Advanced AI parameters
    * @returns {Promise<Array>} Created jobs
@@ -45,15 +73,10 @@ class JobService {
         throw new Error('Collection not found');
       }
 
-      // Create jobs for the collection
-      const jobs = await this.createJobsForCollection(
-        collectionId, 
-        collection.total_supply, 
-        collection.art_prompt,
-        advancedParams
-      );
+      const settings = normalizeDropSettings({}, collection, planNextDrop(collection, null));
+      const { jobs } = await this.createDrop(collection, settings, advancedParams);
 
-      // Start processing initial batch
+      // Queue the initial batch for the worker
       await this.processInitialBatch(collectionId);
       
       return jobs;
@@ -64,129 +87,99 @@ class JobService {
   }
 
   /**
-   * Process initial batch of jobs (first 3)
-   * @param {string} collectionId - Collection ID
-   * @returns {Promise<Array>} Processed jobs
+   * Open the next drop of a finished collection and queue its initial test batch
+   * @param {Collection} collection - Collection object
+   * @param {object} settings - Validated drop settings
+   * @param {object} advancedParams - Advanced AI parameters
+   * @returns {Promise<{drop: Drop, jobs: Array, queued: number}>} The drop, its jobs and how many were queued
+   * @throws {CollectionStateError} When the collection moved on while the drop was being created
    */
-  async processInitialBatch(collectionId) {
-    try {
-      if (this.isProcessing) {
-        throw new Error('Job processing already in progress');
-      }
-
-      this.isProcessing = true;
-      console.log(`🚀 Starting initial batch processing for collection ${collectionId}`);
+  async openNextDrop(collection, settings, advancedParams = {}) {
+    const { drop, jobs } = await this.createDrop(collection, settings, advancedParams);
 
-      const pendingJobs = await Job.findByCollectionId(collectionId, 'pending', this.initialBatchSize);
-      
-      if (pendingJobs.length === 0) {
-        throw new Error('No pending jobs found');
-      }
-
-      const processedJobs = [];
-
-      for (const job of pendingJobs) {
-        try {
-          await this.processJob(job);
-          processedJobs.push(job);
-        } catch (error) {
-          console.error(`❌ Error processing job ${job.id}:`, error);
-          await Job.updateStatus(job.id, 'error', {
-            error_message: error.message
-          });
-          await Job.incrementRetryCount(job.id);
-        }
-      }
-
-      this.isProcessing = false;
-      console.log(`✅ Initial batch completed. Processed ${processedJobs.length} jobs`);
-      return processedJobs;
+    // The jobs stay pending until the collection has moved, so a refused move leaves nothing behind
+    try {
+      await Collection.update(collection.id, { status: COLLECTION_STATES.GENERATING_INITIAL });
     } catch (error) {
-      this.isProcessing = false;
-      console.error('❌ Error in initial batch processing:', error);
+      await Job.deleteByDrop(collection.id, drop.drop_number);
+      await Drop.delete(drop.id);
+      await Collection.update(collection.id, { drop_number: collection.drop_number });
       throw error;
     }
+
+    const queued = await this.processInitialBatch(collection.id);
+    // A tiny batch may have drained before the status changed
+    await this.syncCollectionStatus(collection.id);
+
+    return { drop, jobs, queued };
   }
 
   /**
-   * Continue processing next batch of jobs
+   * Queue the initial test batch (first INITIAL_BATCH_SIZE jobs of the latest drop) for the worker
    * @param {string} collectionId - Collection ID
-   * @returns {Promise<Array>} Processed jobs
+   * @returns {Promise<number>} Number of queued jobs
    */
-  async continueBatchProcessing(collectionId) {
-    try {
-      if (this.isProcessing) {
-        throw new Error('Job processing already in progress');
-      }
+  async processInitialBatch(collectionId) {
+    console.log(`🚀 Queueing initial batch for collection ${collectionId}`);
+    return this.queueBatch(collectionId, this.initialBatchSize);
+  }
 
-      this.isProcessing = true;
-      console.log(`🔄 Continuing batch processing for collection ${collectionId}`);
+  /**
+   * Queue the next pending jobs of the latest drop for the worker
+   * @param {string} collectionId - Collection ID
+   * @param {number} batchSize - Maximum number of jobs to queue
+   * @returns {Promise<number>} Number of queued jobs
+   */
+  async queueBatch(collectionId, batchSize = this.continueBatchSize) {
+    try {
+      const latestDrop = await Drop.findLatest(collectionId);
+      const queued = latestDrop ? await Job.enqueue(collectionId, latestDrop.drop_number, batchSize) : 0;
 
-      const pendingJobs = await Job.findByCollectionId(collectionId, 'pending', this.continueBatchSize);
-      
-      if (pendingJobs.length === 0) {
-        console.log('✅ No more pending jobs to process');
-        this.isProcessing = false;
-        return [];
+      if (queued === 0) {
+        throw new Error('No pending jobs found');
       }
 
-      const processedJobs = [];
-
-      for (const job of pendingJobs) {
-        try {
-          await this.processJob(job);
-          processedJobs.push(job);
-        } catch (error) {
-          console.error(`❌ Error processing job ${job.id}:`, error);
-          await Job.updateStatus(job.id, 'error', {
-            error_message: error.message
-          });
-          await Job.incrementRetryCount(job.id);
-        }
-      }
+      console.log(`📥 Queued ${queued} jobs for collection ${collectionId}`);
 
-      this.isProcessing = false;
-      console.log(`✅ Batch completed. Processed ${processedJobs.length} jobs`);
-      return processedJobs;
+      // Announcing jobs that were already queued again is harmless for listeners
+      const queuedJobs = await Job.findByDrop(collectionId, latestDrop.drop_number, 'queued');
+      queuedJobs.forEach(job => jobEvents.publish('queued', job));
+
+      return queued;
     } catch (error) {
-      this.isProcessing = false;
-      console.error('❌ Error in batch processing:', error);
+      console.error('❌ Error queueing batch:', error);
       throw error;
     }
   }
 
   /**
-   * Process a single job
+   * Generate the image for a single job with the provider stored on it; the worker records the outcome
    * @param {Job} job - Job to process
-   * @returns {Promise<void>}
+   * @returns {Promise<{imagePath: string, files: Array<object>, metadata: object}>} Path to the generated image,
+   *   its variants and provider metadata
    */
   async processJob(job) {
-    try {
-      console.log(`🎨 Processing job ${job.id} (Edition ${job.edition_number})`);
-      
-      // Update status to generating
-      await Job.updateStatus(job.id, 'generating');
-
-      // Prepare advanced parameters
-      const advancedParams = {
-        style_preset: job.style_preset,
-        negative_prompt: job.negative_prompt,
-        seed: job.seed
-      };
-
-      // Generate image with advanced parameters
-      const imagePath = await aiService.generateImage(job.ai_prompt, job.id, advancedParams);
-      
-      // Update job with image path
-      await Job.updateStatus(job.id, 'generated', {
-        image_path: imagePath
-      });
-
-      console.log(`✅ Job ${job.id} completed successfully`);
-    } catch (error) {
-      console.error(`❌ Error processing job ${job.id}:`, error);
-      throw error;
-    }
+    console.log(`🎨 Processing job ${job.id} (Edition ${job.edition_number})`);
+
+    // Prepare advanced parameters; the reference image is read from the collection
+    // so initial and continued batches all derive from the current one
+    const collection = await Collection.findById(job.collection_id);
+    const advancedParams = {
+      style_preset: job.style_preset,
+      negative_prompt: job.negative_prompt,
+      seed: job.seed,
+      image_provider: job.image_provider,
+      edition_number: job.edition_number,
+      reference_image_path: collection?.reference_image_path || null,
+      image_strength: collection?.image_strength
+    };
+
+    // Generate image with advanced parameters, then post-process it with the collection's settings
+    const postProcessing = normalizePostProcessing(collection?.post_processing);
+    const result = await aiService.generateImage(job.ai_prompt, job.id, advancedParams, postProcessing);
+
+    console.log(`✅ Job ${job.id} completed successfully`);
+    return result;
   }
 
   /**
@@ -205,14 +198,16 @@ class JobService {
         throw new Error('Job must be in generated status to approve');
       }
 
-      // Generate metadata for approved job
+      // Generate metadata for approved job, with the supply, prompt and style of its drop
       const collection = await Collection.findById(job.collection_id);
-      const metadata = await metadataService.generateNFTMetadata(job, collection);
+      const drop = await Drop.findByNumber(job.collection_id, job.drop_number);
+      const metadata = await metadataService.generateNFTMetadata(job, metadataService.withDrop(collection, drop));
       const metadataPath = await metadataService.saveMetadata(job.id, metadata);
 
       await Job.updateStatus(jobId, 'approved', {
         metadata_path: metadataPath
       });
+      jobEvents.publish('approved', await Job.findById(jobId));
 
       console.log(`✅ Job ${jobId} approved`);
       return true;
@@ -234,21 +229,28 @@ class JobService {
         throw new Error('Job not found');
       }
 
-      // Delete old image if exists
-      if (job.image_path && fs.existsSync(job.image_path)) {
-        fs.unlinkSync(job.image_path);
-      }
+      // Delete old image variants if they exist
+      jobImagePaths(job).forEach(imagePath => {
+        if (fs.existsSync(imagePath)) {
+          fs.unlinkSync(imagePath);
+        }
+      });
 
-      // Reset job status and process again
-      await Job.updateStatus(jobId, 'pending', {
+      // Reset the job and hand it back to the worker
+      await Job.updateStatus(jobId, 'queued', {
         image_path: null,
+        image_url: null,
+        image_files: null,
         metadata_path: null,
-        error_message: null
+        error_message: null,
+        error_category: null,
+        next_attempt_at: null,
+        retry_count: 0
       });
-
-      await this.processJob(job);
       
-      console.log(`🔄 Job ${jobId} regenerated`);
+      jobEvents.publish('queued', await Job.findById(jobId));
+
+      console.log(`🔄 Job ${jobId} queued for regeneration`);
       return true;
     } catch (error) {
       console.error(`❌ Error regenerating job ${jobId}:`, error);
@@ -257,28 +259,74 @@ class JobService {
   }
 
   /**
-   * Get collection progress
+   * Move a generating collection on once its batch has drained: back to review while
+   * pending jobs of the latest drop remain, to complete when every one has been generated
+   * @param {string} collectionId - Collection ID
+   * @returns {Promise<string|null>} New status, or null when nothing changed
+   */
+  async syncCollectionStatus(collectionId) {
+    const collection = await Collection.findById(collectionId);
+    const generatingStates = [COLLECTION_STATES.GENERATING_INITIAL, COLLECTION_STATES.GENERATING_BATCH];
+    if (!collection || !generatingStates.includes(collection.status)) {
+      return null;
+    }
+
+    const latestDrop = await Drop.findLatest(collectionId);
+    const stats = await Collection.getStats(collectionId, latestDrop ? latestDrop.drop_number : null);
+    if ((stats.queued_jobs || 0) + (stats.generating_jobs || 0) > 0) {
+      return null;
+    }
+
+    const status = (stats.pending_jobs || 0) > 0 ? COLLECTION_STATES.REVIEW : COLLECTION_STATES.COMPLETE;
+    try {
+      await Collection.update(collectionId, { status });
+      return status;
+    } catch (error) {
+      // Another worker slot finished the batch at the same moment and already moved it
+      if (error instanceof CollectionStateError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get collection progress; job counts cover the latest drop, the one being generated
    * @param {string} collectionId - Collection ID
    * @returns {Promise<object>} Progress information
    */
   async getCollectionProgress(collectionId) {
     try {
-      const stats = await Collection.getStats(collectionId);
       const collection = await Collection.findById(collectionId);
+      const latestDrop = await Drop.findLatest(collectionId);
+      const stats = await Collection.getStats(collectionId, latestDrop ? latestDrop.drop_number : null);
+      const nextDrop = collection ? planNextDrop(collection, latestDrop) : null;
       
       const progress = {
         collection_id: collectionId,
         collection_name: collection?.name || 'Unknown',
+        status: collection?.status || null,
         total_jobs: stats.total_jobs || 0,
         pending_jobs: stats.pending_jobs || 0,
+        queued_jobs: stats.queued_jobs || 0,
         generating_jobs: stats.generating_jobs || 0,
         generated_jobs: stats.generated_jobs || 0,
         approved_jobs: stats.approved_jobs || 0,
         error_jobs: stats.error_jobs || 0,
+        failed_jobs: stats.failed_jobs || 0,
         progress_percentage: stats.total_jobs > 0 ? 
           Math.round(((stats.approved_jobs || 0) / stats.total_jobs) * 100) : 0,
-        is_processing: this.isProcessing,
-        can_continue: (stats.pending_jobs || 0) > 0 && !this.isProcessing
+        is_processing: (stats.queued_jobs || 0) + (stats.generating_jobs || 0) > 0,
+        is_paused: collection?.paused || false,
+        can_continue: (stats.pending_jobs || 0) > 0 && !!collection &&
+          canTransition(collection.status, COLLECTION_STATES.GENERATING_BATCH),
+        drop_number: latestDrop ? latestDrop.drop_number : null,
+        drop_editions: latestDrop ? { first: latestDrop.first_edition, last: latestDrop.last_edition } : null,
+        remaining_supply: nextDrop ? nextDrop.remaining_supply : 0,
+        // A new drop follows a finished one; the first drop is opened by generate-initial
+        can_open_drop: !!latestDrop && nextDrop.remaining_supply > 0 &&
+          collection.status !== COLLECTION_STATES.GENERATING_INITIAL &&
+          canTransition(collection.status, COLLECTION_STATES.GENERATING_INITIAL)
       };
 
       return progress;
@@ -305,11 +353,41 @@ class JobService {
   }
 
   /**
-   * Check if processing is in progress
-   * @returns {boolean} Processing status
+   * Check generated images in a collection for exact and near duplicates
+   * @param {string} collectionId - Collection ID
+   * @param {object} options - Optional job `status` and `dropNumber` filters and dHash `threshold`
+   * @returns {Promise<object>} Duplicate report with a summary
    */
-  isProcessingInProgress() {
-    return this.isProcessing;
+  async findDuplicateJobs(collectionId, { status = null, dropNumber = null, threshold } = {}) {
+    try {
+      const jobs = dropNumber
+        ? await Job.findByDrop(collectionId, dropNumber, status)
+        : await Job.findByCollectionId(collectionId, status);
+      const items = [];
+
+      for (const job of jobs) {
+        if (!job.image_path || !fs.existsSync(job.image_path)) continue;
+
+        const fingerprint = await fingerprintImage(await fs.promises.readFile(job.image_path));
+        items.push({
+          ...fingerprint,
+          ref: {
+            job_id: job.id,
+            edition_number: job.edition_number,
+            status: job.status
+          }
+        });
+      }
+
+      const report = findDuplicates(items, { threshold });
+      const summary = summarizeDuplicates(report);
+
+      console.log(`🔍 Duplicate check for collection ${collectionId}: ${summary.total} findings in ${items.length} images`);
+      return { ...report, summary };
+    } catch (error) {
+      console.error('❌ Error checking duplicates:', error);
+      throw error;
+    }
   }
 }
 
@@ -0,0 +1,193 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+const Job = require('../models/Job');
+const jobService = require('./jobService');
+const jobEvents = require('./jobEvents');
+const { classifyGenerationError, getRetryDelay } = require('../utils/generationErrors');
+
+// Unset or non-numeric settings use the default; 0 is kept (RETRY_ATTEMPTS=0 never retries)
+const readIntSetting = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Background worker that drains the `queued` jobs in the SQLite jobs table.
+ * Every job is leased while it generates; the lease is renewed by a heartbeat,
+ * so jobs left behind by a crashed or restarted server return to the queue.
+ * Rate-limited and transient failures are re-queued with exponential backoff;
+ * anything else, or a job out of retries, ends up `failed`.
+ * Every state change is published on the job's collection channel.
+ */
+class JobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+    this.concurrency = parseInt(process.env.WORKER_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.WORKER_POLL_INTERVAL) || 2000;
+    this.leaseDuration = parseInt(process.env.JOB_LEASE_DURATION) || 60000;
+    this.maxRetries = readIntSetting('RETRY_ATTEMPTS', 3);
+    this.retryDelay = readIntSetting('RETRY_DELAY', 5000);
+    this.activeJobs = new Map();
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Recover stale jobs and start polling for queued jobs
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    const recovered = await Job.recoverStale();
+    if (recovered > 0) {
+      console.log(`♻️ Re-queued ${recovered} jobs left generating by a previous run`);
+    }
+
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    console.log(`👷 Job worker ${this.workerId} started (concurrency ${this.concurrency})`);
+    this.poll();
+  }
+
+  /**
+   * Stop taking new jobs; jobs already running finish on their own
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log(`🛑 Job worker ${this.workerId} stopped`);
+    }
+  }
+
+  /**
+   * Fill free worker slots with queued jobs
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      // Leases of other workers may have expired since the last poll
+      await Job.recoverStale();
+
+      while (this.activeJobs.size < this.concurrency) {
+        const job = await Job.claimNext(this.workerId, this.leaseDuration);
+        if (!job) {
+          break;
+        }
+
+        jobEvents.publish('generating', job);
+
+        const run = this.runJob(job)
+          .catch(error => console.error(`❌ Error finishing job ${job.id}:`, error))
+          .finally(() => this.activeJobs.delete(job.id));
+        this.activeJobs.set(job.id, run);
+      }
+    } catch (error) {
+      console.error('❌ Error polling job queue:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Generate one leased job, keeping its lease alive until it finishes
+   * @param {Job} job - Leased job
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const heartbeat = setInterval(async () => {
+      try {
+        const renewed = await Job.renewLease(job.id, this.workerId, this.leaseDuration);
+        if (!renewed) {
+          console.warn(`⚠️ Lost the lease on job ${job.id}; its result will be discarded`);
+          clearInterval(heartbeat);
+        }
+      } catch (error) {
+        console.error(`❌ Error renewing lease on job ${job.id}:`, error);
+      }
+    }, Math.floor(this.leaseDuration / 3));
+
+    try {
+      const { imagePath, files, metadata } = await jobService.processJob(job);
+      const released = await Job.releaseLease(job.id, this.workerId, 'generated', {
+        image_path: imagePath,
+        image_url: `/api/jobs/${job.id}/image`,
+        image_files: JSON.stringify(files),
+        provider_metadata: JSON.stringify(metadata),
+        error_message: null,
+        error_category: null,
+        next_attempt_at: null
+      });
+
+      if (released) {
+        jobEvents.publish('generated', await Job.findById(job.id));
+      }
+    } catch (error) {
+      await this.handleFailure(job, classifyGenerationError(error));
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    // The last job of a batch moves its collection on to review or complete
+    try {
+      await jobService.syncCollectionStatus(job.collection_id);
+    } catch (error) {
+      console.error(`❌ Error updating status of collection ${job.collection_id}:`, error);
+    }
+  }
+
+  /**
+   * Re-queue a failed job with backoff, or mark it failed for good
+   * @param {Job} job - Leased job
+   * @param {GenerationError} failure - Classified error
+   * @returns {Promise<void>}
+   */
+  async handleFailure(job, failure) {
+    const retryCount = job.retry_count || 0;
+
+    if (failure.retryable && retryCount < this.maxRetries) {
+      const delay = getRetryDelay(failure, retryCount, this.retryDelay);
+      console.warn(`⏳ Job ${job.id} hit a ${failure.category} error; retry ${retryCount + 1}/${this.maxRetries} in ${delay}ms`);
+
+      const requeued = await Job.releaseLease(job.id, this.workerId, 'queued', {
+        error_message: failure.message,
+        error_category: failure.category,
+        retry_count: retryCount + 1,
+        next_attempt_at: Date.now() + delay
+      });
+
+      if (requeued) {
+        jobEvents.publish('queued', await Job.findById(job.id), { retry: true });
+      }
+      return;
+    }
+
+    console.error(`❌ Job ${job.id} failed (${failure.category}):`, failure.message);
+    const failed = await Job.releaseLease(job.id, this.workerId, 'failed', {
+      error_message: failure.message,
+      error_category: failure.category,
+      next_attempt_at: null
+    });
+
+    if (failed) {
+      jobEvents.publish('failed', await Job.findById(job.id));
+    }
+  }
+
+  /**
+   * Number of jobs this worker is generating right now
+   * @returns {number} Active jobs
+   */
+  getActiveCount() {
+    return this.activeJobs.size;
+  }
+}
+
+module.exports = new JobWorker();
@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * Google Gemini generateContent API
+ */
+class GeminiProvider {
+  constructor() {
+    this.id = 'gemini';
+    this.label = 'Google Gemini';
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.model = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Complete a prompt
+   * @param {string} prompt - Meta-prompt
+   * @param {object} [options]
+   * @param {boolean} [options.json] - Ask for a JSON object answer
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(prompt, { json = false } = {}) {
+    const requestBody = {
+      contents: [{
+        parts: [{ text: prompt }]
+      }]
+    };
+
+    if (json) {
+      requestBody.generationConfig = { responseMimeType: 'application/json' };
+    }
+
+    const response = await axios.post(
+      `https://generativelanguage.googleapis.com/v1beta/models/${this.model}:generateContent?key=${this.apiKey}`,
+      requestBody,
+      {
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    return response.data.candidates[0].content.parts[0].text.trim();
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,44 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OllamaProvider = require('./ollamaProvider');
+
+/**
+ * LLM providers for prompt and metadata ideation.
+ * Each provider exposes `complete(prompt, {json})` resolving to the answer text.
+ */
+const providers = [
+  new GeminiProvider(),
+  new OpenAIProvider(),
+  new OllamaProvider()
+];
+
+const DEFAULT_LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+
+/**
+ * Look up an LLM provider
+ * @param {string} [id] - Provider id; defaults to LLM_PROVIDER
+ * @returns {object|null} Provider, or null when the id is unknown
+ */
+function getLlmProvider(id = DEFAULT_LLM_PROVIDER) {
+  return providers.find(provider => provider.id === id) || null;
+}
+
+/**
+ * Describe the available LLM providers
+ * @returns {Array<{id: string, label: string, model: string, configured: boolean, default: boolean}>} Providers
+ */
+function listLlmProviders() {
+  return providers.map(provider => ({
+    id: provider.id,
+    label: provider.label,
+    model: provider.model,
+    configured: provider.isConfigured(),
+    default: provider.id === DEFAULT_LLM_PROVIDER
+  }));
+}
+
+module.exports = {
+  DEFAULT_LLM_PROVIDER,
+  getLlmProvider,
+  listLlmProviders
+};
@@ -0,0 +1,41 @@
+const axios = require('axios');
+
+/**
+ * Local Ollama (or any server speaking its /api/chat protocol)
+ */
+class OllamaProvider {
+  constructor() {
+    this.id = 'ollama';
+    this.label = 'Ollama (local)';
+    this.baseUrl = (process.env.OLLAMA_URL || 'http://127.0.0.1:11434').replace(/\/$/, '');
+    this.model = process.env.OLLAMA_MODEL || 'llama3.1';
+  }
+
+  isConfigured() {
+    return !!process.env.OLLAMA_URL;
+  }
+
+  /**
+   * Complete a prompt
+   * @param {string} prompt - Meta-prompt
+   * @param {object} [options]
+   * @param {boolean} [options.json] - Ask for a JSON object answer
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(prompt, { json = false } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: false
+    };
+
+    if (json) {
+      requestBody.format = 'json';
+    }
+
+    const response = await axios.post(`${this.baseUrl}/api/chat`, requestBody);
+    return response.data.message.content.trim();
+  }
+}
+
+module.exports = OllamaProvider;
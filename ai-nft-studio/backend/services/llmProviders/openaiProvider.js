@@ -0,0 +1,50 @@
+const axios = require('axios');
+
+/**
+ * OpenAI Chat Completions API
+ */
+class OpenAIProvider {
+  constructor() {
+    this.id = 'openai';
+    this.label = 'OpenAI';
+    this.apiKey = process.env.OPENAI_API_KEY;
+    this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Complete a prompt
+   * @param {string} prompt - Meta-prompt
+   * @param {object} [options]
+   * @param {boolean} [options.json] - Ask for a JSON object answer
+   * @returns {Promise<string>} Model answer
+   */
+  async complete(prompt, { json = false } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }]
+    };
+
+    if (json) {
+      requestBody.response_format = { type: 'json_object' };
+    }
+
+    const response = await axios.post(
+      'https://api.openai.com/v1/chat/completions',
+      requestBody,
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        }
+      }
+    );
+
+    return response.data.choices[0].message.content.trim();
+  }
+}
+
+module.exports = OpenAIProvider;
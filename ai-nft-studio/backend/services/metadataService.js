@@ -1,6 +1,14 @@
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
+const { getMetadataProfile } = require('../../../shared/metadataProfiles');
+const { computeRarity, rarityToCsv } = require('../../../shared/rarity');
+const { slotTraitType } = require('../utils/promptVariations');
+const { mimeTypeForPath, jobImagePaths } = require('../utils/postProcessing');
+const { DEFAULT_SELLER_FEE_BASIS_POINTS } = require('../utils/collectionSettings');
+
+// Per-token numbers say nothing about how rare the artwork is
+const RARITY_IGNORED_TRAITS = ['Edition in Drop'];
 
 class MetadataService {
   constructor() {
@@ -13,18 +21,78 @@ class MetadataService {
   }
 
   /**
-   * Generate NFT metadata for a job
+   * Image variants of a job as they are named in a package: `{edition}.{ext}` for the
+   * main image and `{edition}_{variant}.{ext}` for the others, e.g. `7_thumbnail.webp`
    * @param {Job} job - Job object
+   * @returns {Array<{variant: string, path: string, uri: string, type: string}>} Files, main image first
+   */
+  getImageFiles(job) {
+    // Jobs generated before post-processing only have their raw PNG
+    const files = job.image_files && job.image_files.length > 0
+      ? job.image_files
+      : [{ variant: 'image', path: job.image_path, type: mimeTypeForPath(job.image_path) }];
+
+    return files.map(file => {
+      const extension = path.extname(file.path || '').slice(1) || 'png';
+      const baseName = file.variant === 'image' ? `${job.edition_in_drop}` : `${job.edition_in_drop}_${file.variant}`;
+
+      return {
+        variant: file.variant,
+        path: file.path,
+        uri: `${baseName}.${extension}`,
+        type: file.type || mimeTypeForPath(file.path)
+      };
+    });
+  }
+
+  /**
+   * Royalty of a collection; collections created before it was stored use the default
    * @param {Collection} collection - Collection object
+   * @returns {number} Seller fee in basis points
+   */
+  getSellerFeeBasisPoints(collection) {
+    return collection.seller_fee_basis_points ?? DEFAULT_SELLER_FEE_BASIS_POINTS;
+  }
+
+  /**
+   * The collection as one of its drops sees it: drop number, supply, prompt and style
+   * come from the drop
+   * @param {Collection} collection - Collection object
+   * @param {Drop|null} drop - Drop, or null to use the collection as it is
+   * @returns {object} Collection fields for metadata
+   */
+  withDrop(collection, drop) {
+    if (!drop) {
+      return collection;
+    }
+
+    return {
+      ...collection,
+      drop_number: drop.drop_number,
+      drop_supply: drop.supply,
+      ai_prompt: drop.ai_prompt,
+      style: drop.style,
+      first_edition: drop.first_edition,
+      last_edition: drop.last_edition
+    };
+  }
+
+  /**
+   * Generate NFT metadata for a job
+   * @param {Job} job - Job object
+   * @param {Collection} collection - Collection object, seen from the job's drop (see withDrop)
+   * @param {object} profile - Metadata profile (defaults to metaplex-legacy)
    * @returns {object} NFT metadata
    */
-  generateNFTMetadata(job, collection) {
-    const metadata = {
-      name: `${collection.name} #${job.edition_in_drop}`,
+  generateNFTMetadata(job, collection, profile = getMetadataProfile()) {
+    const imageFiles = this.getImageFiles(job);
+    const metadata = profile.buildMetadata({
+      // Editions are numbered across drops; files inside a drop's package go by edition_in_drop
+      name: `${collection.name} #${job.edition_number}`,
       symbol: collection.symbol,
       description: collection.description,
-      image: `${job.edition_in_drop}.png`,
-      external_url: "https://mintonaire.io",
+      image: imageFiles[0].uri,
+      externalUrl: collection.external_url,
       attributes: [
         {
           trait_type: "Collection Number",
@@ -46,52 +114,39 @@ class MetadataService {
           trait_type: "Generation Method",
           value: "AI Generated"
         },
-        {
+        ...(collection.style ? [{
+          trait_type: "Art Style",
+          value: collection.style
+        }] : []),
+        // The tier the job was generated with, when the collection defines tiers
+        ...(job.rarity_tier ? [{
           trait_type: "Rarity",
-          value: this.calculateRarity(job.edition_in_drop, collection.drop_supply)
-        }
+          value: job.rarity_tier
+        }] : []),
+        // One attribute per prompt slot value the job was generated with
+        ...Object.entries(job.prompt_variables || {}).map(([slot, value]) => ({
+          trait_type: slotTraitType(slot),
+          value
+        }))
       ],
-      properties: {
-        files: [
-          {
-            uri: `${job.edition_in_drop}.png`,
-            type: "image/png"
-          }
-        ],
-        category: "image",
-        creators: [
-          {
-            address: "mintonaire_creator_address", // This should be replaced with actual creator address
-            share: 100
-          }
-        ]
-      },
+      // Every post-processed variant, main image first
+      files: imageFiles.map(file => ({
+        uri: file.uri,
+        type: file.type
+      })),
+      category: "image",
+      sellerFeeBasisPoints: this.getSellerFeeBasisPoints(collection),
+      creators: collection.creators,
       collection: {
         name: collection.name,
         family: "Mintonaire AI Collection"
       }
-    };
+    });
 
-    console.log(`📝 Generated metadata for ${collection.name} #${job.edition_in_drop}`);
+    console.log(`📝 Generated metadata for ${collection.name} #${job.edition_number}`);
     return metadata;
   }
 
-  /**
-   * Calculate rarity based on edition number
-   * @param {number} editionNumber - Edition number
-   * @param {number} totalSupply - Total supply
-   * @returns {string} Rarity level
-   */
-  calculateRarity(editionNumber, totalSupply) {
-    const percentage = (editionNumber / totalSupply) * 100;
-    
-    if (percentage <= 1) return "Legendary";
-    if (percentage <= 5) return "Epic";
-    if (percentage <= 15) return "Rare";
-    if (percentage <= 40) return "Uncommon";
-    return "Common";
-  }
-
   /**
    * Save metadata to file
    * @param {string} jobId - Job ID
@@ -115,15 +170,16 @@ class MetadataService {
   /**
    * Generate collection metadata file
    * @param {Collection} collection - Collection object
+   * @param {object} profile - Metadata profile (defaults to metaplex-legacy)
    * @returns {object} Collection metadata
    */
-  generateCollectionMetadata(collection) {
-    const collectionMetadata = {
+  generateCollectionMetadata(collection, profile = getMetadataProfile()) {
+    return profile.buildMetadata({
       name: collection.name,
       symbol: collection.symbol,
       description: collection.description,
       image: "collection.png", // Collection cover image
-      external_url: "https://mintonaire.io",
+      externalUrl: collection.external_url,
       attributes: [
         {
           trait_type: "Collection Number",
@@ -144,49 +200,78 @@ class MetadataService {
         {
           trait_type: "Generation Type",
           value: "AI Powered"
-        }
+        },
+        ...(collection.style ? [{
+          trait_type: "Art Style",
+          value: collection.style
+        }] : [])
       ],
-      properties: {
-        category: "image",
-        creators: [
-          {
-            address: "mintonaire_creator_address", // This should be replaced with actual creator address
-            share: 100
-          }
-        ]
-      },
+      files: [],
+      category: "image",
+      sellerFeeBasisPoints: this.getSellerFeeBasisPoints(collection),
+      creators: collection.creators,
       collection: {
         name: collection.name,
         family: "Mintonaire AI Collection"
       }
-    };
-
-    return collectionMetadata;
+    });
   }
 
   /**
-   * Create ZIP package with approved images and metadata
+   * Create ZIP package with the approved images and metadata of one drop
    * @param {string} collectionId - Collection ID
+   * @param {object} profile - Metadata profile used for every JSON in the package
+   * @param {object} options - `dropNumber` picks the drop (the latest one by default);
+   *   `includeRarityRank` adds a Rarity Rank attribute to every token
    * @returns {Promise<string>} Path to ZIP file
    */
-  async createCollectionPackage(collectionId) {
+  async createCollectionPackage(collectionId, profile = getMetadataProfile(), options = {}) {
     try {
       console.log(`📦 Creating collection package for ${collectionId}`);
       
       const Job = require('../models/Job');
       const Collection = require('../models/Collection');
+      const Drop = require('../models/Drop');
       
-      const collection = await Collection.findById(collectionId);
-      if (!collection) {
+      const storedCollection = await Collection.findById(collectionId);
+      if (!storedCollection) {
         throw new Error('Collection not found');
       }
 
-      const approvedJobs = await Job.findByCollectionId(collectionId, 'approved');
+      const drop = options.dropNumber
+        ? await Drop.findByNumber(collectionId, options.dropNumber)
+        : await Drop.findLatest(collectionId);
+      if (!drop) {
+        throw new Error('Drop not found');
+      }
+      const collection = this.withDrop(storedCollection, drop);
+
+      const approvedJobs = await Job.findByDrop(collectionId, drop.drop_number, 'approved');
       if (approvedJobs.length === 0) {
-        throw new Error('No approved jobs found for collection');
+        throw new Error(`No approved jobs found for drop ${drop.drop_number}`);
+      }
+
+      // Rank the approved tokens of the drop against each other before any JSON is written
+      const tokens = approvedJobs.map(job => ({
+        job,
+        metadata: this.generateNFTMetadata(job, collection, profile)
+      }));
+      const rarity = computeRarity(tokens.map(({ job, metadata }) => ({
+        token: job.edition_in_drop,
+        name: metadata.name,
+        attributes: metadata.attributes.filter(attribute => !RARITY_IGNORED_TRAITS.includes(attribute.trait_type))
+      })));
+
+      if (options.includeRarityRank) {
+        tokens.forEach(({ metadata }, index) => {
+          metadata.attributes.push({
+            trait_type: "Rarity Rank",
+            value: rarity.tokens[index].rank.toString()
+          });
+        });
       }
 
-      const zipPath = path.join(this.outputDir, `${collection.name.replace(/[^a-zA-Z0-9]/g, '_')}_${collection.collection_number}.zip`);
+      const zipPath = path.join(this.outputDir, this.getPackageFilename(collection, drop.drop_number));
       const output = fs.createWriteStream(zipPath);
       const archive = archiver('zip', { zlib: { level: 9 } });
 
@@ -204,24 +289,38 @@ class MetadataService {
         archive.pipe(output);
 
         // Add collection metadata
-        const collectionMetadata = this.generateCollectionMetadata(collection);
+        const collectionMetadata = this.generateCollectionMetadata(collection, profile);
         archive.append(JSON.stringify(collectionMetadata, null, 2), { name: 'collection.json' });
 
+        // Profiles that keep royalties on-chain get them written alongside the assets
+        if (profile.buildOnChainConfig) {
+          const onChainConfig = profile.buildOnChainConfig({
+            symbol: collection.symbol,
+            sellerFeeBasisPoints: this.getSellerFeeBasisPoints(collection),
+            creators: collection.creators
+          });
+          archive.append(JSON.stringify(onChainConfig, null, 2), { name: 'onchain-config.json' });
+        }
+
         // Add approved images and metadata
-        approvedJobs.forEach((job, index) => {
+        tokens.forEach(({ job, metadata }) => {
           const editionNumber = job.edition_in_drop;
           
-          // Add image
-          if (job.image_path && fs.existsSync(job.image_path)) {
-            archive.file(job.image_path, { name: `${editionNumber}.png` });
-          }
+          // Add the image and its variants under the names the metadata points at
+          this.getImageFiles(job).forEach(file => {
+            if (file.path && fs.existsSync(file.path)) {
+              archive.file(file.path, { name: file.uri });
+            }
+          });
           
-          // Add metadata
-          if (job.metadata_path && fs.existsSync(job.metadata_path)) {
-            archive.file(job.metadata_path, { name: `${editionNumber}.json` });
-          }
+          // Add metadata in the requested profile
+          archive.append(JSON.stringify(metadata, null, 2), { name: `${editionNumber}.json` });
         });
 
+        // Add rarity report
+        archive.append(JSON.stringify(rarity, null, 2), { name: 'rarity.json' });
+        archive.append(rarityToCsv(rarity), { name: 'rarity.csv' });
+
         // Add README file
         const readmeContent = this.generateReadme(collection, approvedJobs.length);
         archive.append(readmeContent, { name: 'README.md' });
@@ -234,6 +333,16 @@ class MetadataService {
     }
   }
 
+  /**
+   * File name of a drop's package
+   * @param {Collection} collection - Collection object
+   * @param {number} dropNumber - Drop number
+   * @returns {string} ZIP file name
+   */
+  getPackageFilename(collection, dropNumber) {
+    return `${collection.name.replace(/[^a-zA-Z0-9]/g, '_')}_${collection.collection_number}_drop${dropNumber}.zip`;
+  }
+
   /**
    * Generate README content for the package
    * @param {Collection} collection - Collection object
@@ -251,13 +360,17 @@ class MetadataService {
 - **Collection Number:** ${collection.collection_number}
 - **Drop Supply:** ${collection.drop_supply}
 - **Drop Number:** ${collection.drop_number}
+- **Editions:** #${collection.first_edition}-#${collection.last_edition} (files are numbered from 1 within the drop)
+- **Royalty:** ${(this.getSellerFeeBasisPoints(collection) / 100).toFixed(2)}%
 - **Approved NFTs:** ${approvedCount}
 
 ## Package Contents
 
 - \`collection.json\` - Collection metadata
-- \`{edition}.png\` - NFT images (1200x1200px)
+- \`{edition}.{png|webp|jpg}\` - NFT images, post-processed with the collection's settings
+- \`{edition}_thumbnail.{png|webp|jpg}\` - Thumbnails, when enabled (listed in \`properties.files\`)
 - \`{edition}.json\` - Individual NFT metadata
+- \`rarity.json\` / \`rarity.csv\` - Rarity scores and ranks (OpenRarity information content)
 - \`README.md\` - This file
 
 ## Metadata Structure
@@ -268,7 +381,9 @@ Each NFT includes the following attributes:
 - Drop Number
 - Edition in Drop
 - Generation Method (AI Generated)
-- Rarity (based on edition number)
+- Art Style, when the collection has one
+- Rarity (the rarity tier the image was generated with, when tiers are defined)
+- One attribute per prompt slot (e.g. {setting} becomes "Setting"), when the prompt uses slots
 
 ## Metaplex Compatibility
 
@@ -293,10 +408,12 @@ Generated on: ${new Date().toISOString()}
       const jobs = await Job.findByCollectionId(collectionId);
       
       jobs.forEach(job => {
-        // Clean up image files
-        if (job.image_path && fs.existsSync(job.image_path)) {
-          fs.unlinkSync(job.image_path);
-        }
+        // Clean up image files and their variants
+        jobImagePaths(job).forEach(imagePath => {
+          if (fs.existsSync(imagePath)) {
+            fs.unlinkSync(imagePath);
+          }
+        });
         
         // Clean up metadata files
         if (job.metadata_path && fs.existsSync(job.metadata_path)) {
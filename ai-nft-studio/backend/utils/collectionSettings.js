@@ -0,0 +1,92 @@
+/**
+ * Collection settings that end up in the metadata or drive generation:
+ * art style, batch size, external URL and royalty (seller fee basis points).
+ * Fields left out of a request keep their current value.
+ */
+
+const DEFAULT_SELLER_FEE_BASIS_POINTS = parseInt(process.env.DEFAULT_ROYALTY_BASIS_POINTS) || 0;
+const DEFAULT_EXTERNAL_URL = process.env.DEFAULT_EXTERNAL_URL || null;
+const DEFAULT_BATCH_SIZE = parseInt(process.env.CONTINUE_BATCH_SIZE) || 100;
+
+const MAX_BATCH_SIZE = 100;
+const MAX_STYLE_LENGTH = 100;
+// Metaplex stores royalties as basis points, 10000 = 100%
+const MAX_SELLER_FEE_BASIS_POINTS = 10000;
+
+const SETTINGS_FIELDS = ['style', 'batch_size', 'external_url', 'seller_fee_basis_points'];
+
+const DEFAULT_COLLECTION_SETTINGS = {
+  style: null,
+  batch_size: DEFAULT_BATCH_SIZE,
+  external_url: DEFAULT_EXTERNAL_URL,
+  seller_fee_basis_points: DEFAULT_SELLER_FEE_BASIS_POINTS
+};
+
+/**
+ * Read collection settings from a request body
+ * @param {object} body - Request body
+ * @returns {object} The settings present in the body; empty strings clear style and external URL
+ */
+function normalizeCollectionSettings(body = {}) {
+  const settings = {};
+
+  if (body.style !== undefined) {
+    settings.style = body.style ? String(body.style).trim() : null;
+  }
+  if (body.batch_size !== undefined) {
+    settings.batch_size = Number(body.batch_size);
+  }
+  if (body.external_url !== undefined) {
+    settings.external_url = body.external_url ? String(body.external_url).trim() : null;
+  }
+  if (body.seller_fee_basis_points !== undefined) {
+    settings.seller_fee_basis_points = Number(body.seller_fee_basis_points);
+  }
+
+  return settings;
+}
+
+/**
+ * Validate normalized collection settings
+ * @param {object} settings - Settings from normalizeCollectionSettings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateCollectionSettings(settings) {
+  if (settings.style && settings.style.length > MAX_STYLE_LENGTH) {
+    return `Art style must be at most ${MAX_STYLE_LENGTH} characters`;
+  }
+
+  if (settings.batch_size !== undefined &&
+    (!Number.isInteger(settings.batch_size) || settings.batch_size < 1 || settings.batch_size > MAX_BATCH_SIZE)) {
+    return `Batch size must be a whole number between 1 and ${MAX_BATCH_SIZE}`;
+  }
+
+  if (settings.external_url) {
+    let url;
+    try {
+      url = new URL(settings.external_url);
+    } catch (error) {
+      return 'External URL must be a valid URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return 'External URL must start with http:// or https://';
+    }
+  }
+
+  if (settings.seller_fee_basis_points !== undefined &&
+    (!Number.isInteger(settings.seller_fee_basis_points) || settings.seller_fee_basis_points < 0 ||
+      settings.seller_fee_basis_points > MAX_SELLER_FEE_BASIS_POINTS)) {
+    return `Seller fee must be a whole number of basis points between 0 and ${MAX_SELLER_FEE_BASIS_POINTS}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DEFAULT_SELLER_FEE_BASIS_POINTS,
+  DEFAULT_EXTERNAL_URL,
+  DEFAULT_COLLECTION_SETTINGS,
+  SETTINGS_FIELDS,
+  normalizeCollectionSettings,
+  validateCollectionSettings
+};
@@ -0,0 +1,76 @@
+/**
+ * Collection lifecycle.
+ * created → generating_initial → review → generating_batch → complete → packaged → published,
+ * with the shortcuts listed in TRANSITIONS. Any other status change is refused.
+ * The status follows the latest drop: opening the next drop starts over at generating_initial.
+ */
+
+const COLLECTION_STATES = {
+  CREATED: 'created',
+  GENERATING_INITIAL: 'generating_initial',
+  REVIEW: 'review',
+  GENERATING_BATCH: 'generating_batch',
+  COMPLETE: 'complete',
+  PACKAGED: 'packaged',
+  PUBLISHED: 'published'
+};
+
+const TRANSITIONS = {
+  // A failed start returns the collection to `created`; a tiny supply can finish in the first batch
+  [COLLECTION_STATES.CREATED]: [COLLECTION_STATES.GENERATING_INITIAL],
+  [COLLECTION_STATES.GENERATING_INITIAL]: [COLLECTION_STATES.REVIEW, COLLECTION_STATES.COMPLETE, COLLECTION_STATES.CREATED],
+  // Review still has pending jobs; packaging waits until every job of the drop is generated
+  [COLLECTION_STATES.REVIEW]: [COLLECTION_STATES.GENERATING_BATCH],
+  [COLLECTION_STATES.GENERATING_BATCH]: [COLLECTION_STATES.REVIEW, COLLECTION_STATES.COMPLETE],
+  // Once every job of the latest drop is generated the next drop may be opened
+  [COLLECTION_STATES.COMPLETE]: [COLLECTION_STATES.PACKAGED, COLLECTION_STATES.GENERATING_INITIAL],
+  [COLLECTION_STATES.PACKAGED]: [COLLECTION_STATES.PUBLISHED, COLLECTION_STATES.GENERATING_INITIAL],
+  [COLLECTION_STATES.PUBLISHED]: [COLLECTION_STATES.GENERATING_INITIAL]
+};
+
+class CollectionStateError extends Error {
+  /**
+   * @param {string} from - Current status
+   * @param {string} to - Requested status
+   * @param {string} [message] - Error message
+   */
+  constructor(from, to, message = `Collection cannot move from "${from}" to "${to}"`) {
+    super(message);
+    this.name = 'CollectionStateError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Whether a collection may move between two statuses; staying put is always allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean} Whether the transition is allowed
+ */
+function canTransition(from, to) {
+  return from === to || (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Throw unless a collection may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @throws {CollectionStateError} When the transition is not allowed
+ */
+function assertTransition(from, to) {
+  if (!Object.values(COLLECTION_STATES).includes(to)) {
+    throw new CollectionStateError(from, to, `Unknown collection status "${to}"`);
+  }
+  if (!canTransition(from, to)) {
+    throw new CollectionStateError(from, to);
+  }
+}
+
+module.exports = {
+  COLLECTION_STATES,
+  TRANSITIONS,
+  CollectionStateError,
+  canTransition,
+  assertTransition
+};
@@ -0,0 +1,72 @@
+/**
+ * Drop planning helpers.
+ * Each drop takes the next block of editions; together the drops of a
+ * collection may not go past its total supply. A drop copies the prompt,
+ * prompt slots and style of the collection unless the request overrides them.
+ */
+const { normalizePromptSlots, validatePromptSlots } = require('./promptVariations');
+const { validateCollectionSettings } = require('./collectionSettings');
+
+/**
+ * Number and editions of the drop that would be opened next
+ * @param {Collection} collection - Collection object
+ * @param {Drop|null} latestDrop - Most recent drop, or null before the first one
+ * @returns {{drop_number: number, first_edition: number, remaining_supply: number}} Next drop
+ */
+function planNextDrop(collection, latestDrop) {
+  const firstEdition = latestDrop ? latestDrop.last_edition + 1 : 1;
+
+  return {
+    // The first drop keeps the number the collection was created with
+    drop_number: latestDrop ? latestDrop.drop_number + 1 : (collection.drop_number || 1),
+    first_edition: firstEdition,
+    remaining_supply: Math.max(collection.total_supply - firstEdition + 1, 0)
+  };
+}
+
+/**
+ * Read drop settings from a request body, falling back to the collection
+ * @param {object} body - Request body; supply may be sent as supply or drop_supply, the prompt as art_prompt or ai_prompt
+ * @param {Collection} collection - Collection object
+ * @param {object} plan - Next drop from planNextDrop
+ * @returns {{supply: number, ai_prompt: string, style: string|null, prompt_slots: Array<object>}} Drop settings
+ */
+function normalizeDropSettings(body, collection, plan) {
+  const supply = body.supply ?? body.drop_supply;
+  const prompt = body.art_prompt ?? body.ai_prompt;
+
+  return {
+    supply: supply !== undefined && supply !== '' ? Number(supply) : Math.min(collection.drop_supply, plan.remaining_supply),
+    ai_prompt: prompt !== undefined ? String(prompt).trim() : collection.ai_prompt,
+    style: body.style !== undefined ? (String(body.style).trim() || null) : collection.style,
+    prompt_slots: body.prompt_slots !== undefined ? normalizePromptSlots(body.prompt_slots) : collection.prompt_slots
+  };
+}
+
+/**
+ * Validate normalized drop settings against the editions still available
+ * @param {object} settings - Settings from normalizeDropSettings
+ * @param {object} plan - Next drop from planNextDrop
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateDropSettings(settings, plan) {
+  if (plan.remaining_supply === 0) {
+    return 'Every edition of the collection is already in a drop';
+  }
+
+  if (!Number.isInteger(settings.supply) || settings.supply < 1 || settings.supply > plan.remaining_supply) {
+    return `Drop supply must be a whole number between 1 and ${plan.remaining_supply}`;
+  }
+
+  if (!settings.ai_prompt) {
+    return 'Art prompt cannot be empty';
+  }
+
+  return validateCollectionSettings({ style: settings.style }) || validatePromptSlots(settings.ai_prompt, settings.prompt_slots);
+}
+
+module.exports = {
+  planNextDrop,
+  normalizeDropSettings,
+  validateDropSettings
+};
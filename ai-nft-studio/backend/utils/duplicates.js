@@ -0,0 +1,5 @@
+// Duplicate detection lives in shared/duplicates.js; this backend supplies its sharp install
+const sharp = require('sharp');
+const { createDuplicateDetector } = require('../../../shared/duplicates');
+
+module.exports = createDuplicateDetector(sharp);
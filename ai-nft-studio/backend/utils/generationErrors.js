@@ -0,0 +1,112 @@
+/**
+ * Image generation error classification.
+ * Provider failures are sorted into categories so the worker knows whether
+ * retrying can help (rate limits, network hiccups) or not (auth, moderation).
+ */
+
+const ERROR_CATEGORIES = {
+  RATE_LIMITED: 'rate_limited',
+  CONTENT_FILTERED: 'content_filtered',
+  AUTH: 'auth',
+  TRANSIENT: 'transient',
+  INVALID_REQUEST: 'invalid_request',
+  UNKNOWN: 'unknown'
+};
+
+const RETRYABLE_CATEGORIES = [ERROR_CATEGORIES.RATE_LIMITED, ERROR_CATEGORIES.TRANSIENT];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+
+class GenerationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {string} category - One of ERROR_CATEGORIES
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status of the provider response
+   * @param {number} [details.retryAfter] - Delay requested by the provider, in milliseconds
+   */
+  constructor(message, category, { status = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'GenerationError';
+    this.category = category;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.retryable = RETRYABLE_CATEGORIES.includes(category);
+  }
+}
+
+function parseRetryAfter(headers = {}) {
+  const value = headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Classify an error thrown while calling an image provider
+ * @param {Error} error - Axios or other error
+ * @returns {GenerationError} Classified error (returned as-is when already classified)
+ */
+function classifyGenerationError(error) {
+  if (error instanceof GenerationError) {
+    return error;
+  }
+
+  const response = error.response;
+  const body = response?.data || {};
+  const reason = body.message || body.error?.message || body.name || error.message;
+  const message = `Failed to generate image: ${reason}`;
+
+  if (!response) {
+    const category = NETWORK_ERROR_CODES.includes(error.code) ? ERROR_CATEGORIES.TRANSIENT : ERROR_CATEGORIES.UNKNOWN;
+    return new GenerationError(message, category);
+  }
+
+  const { status } = response;
+  let category = ERROR_CATEGORIES.INVALID_REQUEST;
+
+  if (status === 429) {
+    category = ERROR_CATEGORIES.RATE_LIMITED;
+  } else if (status === 401 || status === 403) {
+    category = ERROR_CATEGORIES.AUTH;
+  } else if (body.name === 'invalid_prompts' || body.error?.code === 'content_policy_violation' ||
+    /moderat|content.?filter|safety/i.test(reason)) {
+    // Stability answers moderated prompts with "invalid_prompts", OpenAI with "content_policy_violation"
+    category = ERROR_CATEGORIES.CONTENT_FILTERED;
+  } else if (status === 408 || status >= 500) {
+    category = ERROR_CATEGORIES.TRANSIENT;
+  }
+
+  return new GenerationError(message, category, {
+    status,
+    retryAfter: parseRetryAfter(response.headers)
+  });
+}
+
+/**
+ * Delay before the next attempt: RETRY_DELAY doubled per retry already made,
+ * never shorter than what the provider asked for
+ * @param {GenerationError} error - Classified error
+ * @param {number} retryCount - Retries made so far
+ * @param {number} baseDelay - Delay before the first retry, in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, retryCount, baseDelay) {
+  const backoff = baseDelay * Math.pow(2, retryCount);
+  return Math.max(backoff, error.retryAfter || 0);
+}
+
+module.exports = {
+  ERROR_CATEGORIES,
+  GenerationError,
+  classifyGenerationError,
+  getRetryDelay
+};
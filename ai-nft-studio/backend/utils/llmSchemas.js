@@ -0,0 +1,59 @@
+/**
+ * Structured output checks for LLM answers.
+ * Validators return `{value, errors}`: the normalized value when it is usable,
+ * otherwise the list of problems to send back to the model.
+ */
+
+/**
+ * Parse a JSON answer, tolerating a surrounding Markdown code fence
+ * @param {string} text - Model answer
+ * @returns {*} Parsed JSON
+ */
+function parseJsonAnswer(text) {
+  const fenced = String(text).trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return JSON.parse(fenced ? fenced[1] : text);
+}
+
+const COLLECTION_METADATA_SCHEMA = {
+  collection_name: { maxLength: 50 },
+  symbol: { pattern: /^[A-Z0-9]{3,6}$/, hint: '3-6 uppercase letters or digits' },
+  description: { maxLength: 200 }
+};
+
+/**
+ * Validate generated collection metadata
+ * @param {*} data - Parsed model answer
+ * @returns {{value: object|null, errors: Array<string>}} Normalized metadata or validation errors
+ */
+function validateCollectionMetadata(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { value: null, errors: ['The answer must be a JSON object'] };
+  }
+
+  const value = {};
+  const errors = [];
+
+  Object.entries(COLLECTION_METADATA_SCHEMA).forEach(([field, rule]) => {
+    if (typeof data[field] !== 'string' || !data[field].trim()) {
+      errors.push(`"${field}" must be a non-empty string`);
+      return;
+    }
+
+    const text = field === 'symbol' ? data[field].trim().toUpperCase() : data[field].trim();
+
+    if (rule.maxLength && text.length > rule.maxLength) {
+      errors.push(`"${field}" must be at most ${rule.maxLength} characters (got ${text.length})`);
+    } else if (rule.pattern && !rule.pattern.test(text)) {
+      errors.push(`"${field}" must be ${rule.hint} (got "${text}")`);
+    } else {
+      value[field] = text;
+    }
+  });
+
+  return errors.length > 0 ? { value: null, errors } : { value, errors };
+}
+
+module.exports = {
+  parseJsonAnswer,
+  validateCollectionMetadata
+};
@@ -0,0 +1,48 @@
+/**
+ * Canned LLM responses for offline development (MOCK_AI=true).
+ * Answers are built from the request so the UI still shows something relevant.
+ */
+
+const MOCK_STYLES = ['digital painting', 'isometric 3D render', 'retro pixel art', 'watercolor illustration'];
+
+function pickFor(text, options) {
+  const sum = [...String(text)].reduce((total, char) => total + char.charCodeAt(0), 0);
+  return options[sum % options.length];
+}
+
+/**
+ * Canned art prompt
+ * @param {string} keywords - User input keywords
+ * @param {object} options - Optional style, mood and additional_context
+ * @returns {string} Art prompt
+ */
+function mockArtPrompt(keywords, options = {}) {
+  const style = options.style || pickFor(keywords, MOCK_STYLES);
+  const mood = options.mood ? `, ${options.mood} mood` : '';
+  return `${keywords.trim()}, ${style}${mood}, centered composition, vibrant colors, soft rim lighting, highly detailed, square format`;
+}
+
+/**
+ * Canned collection metadata
+ * @param {string} artPrompt - The art prompt
+ * @returns {{collection_name: string, symbol: string, description: string}} Metadata
+ */
+function mockCollectionMetadata(artPrompt) {
+  const words = artPrompt
+    .replace(/[^A-Za-z ]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 3)
+    .slice(0, 2);
+  const title = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ') || 'Mock';
+
+  return {
+    collection_name: `${title} Collection`,
+    symbol: (words.map(word => word.slice(0, 3)).join('') || 'MOCK').toUpperCase().slice(0, 6).padEnd(3, 'X'),
+    description: `A mock collection inspired by "${artPrompt.slice(0, 120)}".`
+  };
+}
+
+module.exports = {
+  mockArtPrompt,
+  mockCollectionMetadata
+};
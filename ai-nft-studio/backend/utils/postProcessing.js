@@ -0,0 +1,217 @@
+/**
+ * Post-generation image pipeline.
+ * Every generated image goes through the collection's settings: optional
+ * upscale, crop or pad to an aspect ratio, encode to PNG/WebP/JPEG and write
+ * a thumbnail next to it. Each written file is one "variant" of the image.
+ */
+const path = require('path');
+const sharp = require('sharp');
+
+const IMAGE_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  webp: { extension: 'webp', mimeType: 'image/webp' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' }
+};
+
+const UPSCALERS = ['lanczos', 'provider'];
+const FITS = ['crop', 'pad'];
+const MAX_UPSCALE = 4;
+
+const DEFAULT_POST_PROCESSING = {
+  upscale: 1,
+  upscaler: 'lanczos',
+  aspect_ratio: null,
+  fit: 'crop',
+  background: '#000000',
+  format: 'png',
+  quality: 90,
+  strip_exif: true,
+  thumbnail_size: 256
+};
+
+/**
+ * Normalize post-processing settings from a request body, filling in defaults
+ * @param {object|string} [config] - Settings (or their JSON)
+ * @returns {object} Settings with every field of DEFAULT_POST_PROCESSING
+ */
+function normalizePostProcessing(config) {
+  const settings = typeof config === 'string' ? JSON.parse(config) : (config || {});
+
+  return {
+    ...DEFAULT_POST_PROCESSING,
+    ...settings,
+    upscale: settings.upscale !== undefined ? Number(settings.upscale) : DEFAULT_POST_PROCESSING.upscale,
+    aspect_ratio: settings.aspect_ratio ? String(settings.aspect_ratio).trim() : null,
+    format: settings.format ? String(settings.format).toLowerCase().replace(/^jpg$/, 'jpeg') : DEFAULT_POST_PROCESSING.format,
+    quality: settings.quality !== undefined ? Number(settings.quality) : DEFAULT_POST_PROCESSING.quality,
+    strip_exif: settings.strip_exif !== undefined ? Boolean(settings.strip_exif) : DEFAULT_POST_PROCESSING.strip_exif,
+    thumbnail_size: settings.thumbnail_size !== undefined ? Number(settings.thumbnail_size) : DEFAULT_POST_PROCESSING.thumbnail_size
+  };
+}
+
+/**
+ * Parse an aspect ratio such as "16:9"
+ * @param {string|null} aspectRatio - Ratio written as "width:height"
+ * @returns {number|null} Width divided by height, or null when not set or malformed
+ */
+function parseAspectRatio(aspectRatio) {
+  const match = String(aspectRatio || '').match(/^(\d+(?:\.\d+)?):(\d+(?:\.\d+)?)$/);
+  if (!match || Number(match[1]) <= 0 || Number(match[2]) <= 0) {
+    return null;
+  }
+
+  return Number(match[1]) / Number(match[2]);
+}
+
+/**
+ * Validate normalized post-processing settings
+ * @param {object} config - Normalized settings
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePostProcessing(config) {
+  if (!Number.isFinite(config.upscale) || config.upscale < 1 || config.upscale > MAX_UPSCALE) {
+    return `Upscale factor must be between 1 and ${MAX_UPSCALE}`;
+  }
+  if (!UPSCALERS.includes(config.upscaler)) {
+    return `Upscaler must be one of: ${UPSCALERS.join(', ')}`;
+  }
+  if (config.aspect_ratio && !parseAspectRatio(config.aspect_ratio)) {
+    return 'Aspect ratio must look like "16:9"';
+  }
+  if (!FITS.includes(config.fit)) {
+    return `Fit must be one of: ${FITS.join(', ')}`;
+  }
+  if (!IMAGE_FORMATS[config.format]) {
+    return `Format must be one of: ${Object.keys(IMAGE_FORMATS).join(', ')}`;
+  }
+  if (!Number.isInteger(config.quality) || config.quality < 1 || config.quality > 100) {
+    return 'Quality must be an integer between 1 and 100';
+  }
+  if (!Number.isInteger(config.thumbnail_size) || config.thumbnail_size < 0) {
+    return 'Thumbnail size must be a positive integer, or 0 for no thumbnail';
+  }
+
+  return null;
+}
+
+/**
+ * Encode an image in the configured format. sharp drops EXIF and other
+ * metadata unless asked to keep it.
+ * @param {object} image - sharp instance
+ * @param {object} config - Normalized settings
+ * @returns {Promise<Buffer>} Encoded image
+ */
+function encode(image, config) {
+  if (!config.strip_exif) {
+    image.withMetadata();
+  }
+
+  switch (config.format) {
+    case 'webp':
+      return image.webp({ quality: config.quality }).toBuffer();
+    case 'jpeg':
+      // JPEG has no alpha channel, so transparent areas take the pad colour
+      return image.flatten({ background: config.background }).jpeg({ quality: config.quality }).toBuffer();
+    default:
+      return image.png().toBuffer();
+  }
+}
+
+/**
+ * Run a generated image through the pipeline
+ * @param {Buffer} buffer - Image as returned by the provider
+ * @param {object} config - Normalized settings
+ * @param {Function} [providerUpscale] - `(buffer, factor) => Promise<Buffer>`, used when the upscaler is "provider"
+ * @returns {Promise<{image: object, thumbnail: object|null}>} Variants as {buffer, extension, mimeType, width, height}
+ */
+async function postProcessImage(buffer, config, providerUpscale = null) {
+  const format = IMAGE_FORMATS[config.format];
+  let working = buffer;
+  let { width, height } = await sharp(working).metadata();
+
+  if (config.upscale > 1) {
+    const targetWidth = Math.round(width * config.upscale);
+    const targetHeight = Math.round(height * config.upscale);
+
+    working = config.upscaler === 'provider' && providerUpscale
+      ? await providerUpscale(working, config.upscale)
+      : await sharp(working).resize(targetWidth, targetHeight, { kernel: sharp.kernel.lanczos3 }).toBuffer();
+    ({ width, height } = await sharp(working).metadata());
+  }
+
+  const ratio = parseAspectRatio(config.aspect_ratio);
+  if (ratio) {
+    // Cropping shrinks the longer side, padding grows the shorter one
+    const wider = width / height > ratio;
+    if (config.fit === 'crop') {
+      width = wider ? Math.round(height * ratio) : width;
+      height = wider ? height : Math.round(width / ratio);
+    } else {
+      height = wider ? Math.round(width / ratio) : height;
+      width = wider ? width : Math.round(height * ratio);
+    }
+
+    working = await sharp(working)
+      .resize(width, height, {
+        fit: config.fit === 'crop' ? 'cover' : 'contain',
+        background: config.background
+      })
+      .toBuffer();
+  }
+
+  const image = {
+    buffer: await encode(sharp(working), config),
+    extension: format.extension,
+    mimeType: format.mimeType,
+    width,
+    height
+  };
+
+  let thumbnail = null;
+  if (config.thumbnail_size > 0) {
+    const thumbnailImage = sharp(working).resize(config.thumbnail_size, config.thumbnail_size, { fit: 'inside' });
+    const thumbnailBuffer = await encode(thumbnailImage, config);
+    const thumbnailInfo = await sharp(thumbnailBuffer).metadata();
+
+    thumbnail = {
+      buffer: thumbnailBuffer,
+      extension: format.extension,
+      mimeType: format.mimeType,
+      width: thumbnailInfo.width,
+      height: thumbnailInfo.height
+    };
+  }
+
+  return { image, thumbnail };
+}
+
+/**
+ * MIME type of an image file, from its extension
+ * @param {string} filePath - Image path
+ * @returns {string} MIME type (image/png when unknown)
+ */
+function mimeTypeForPath(filePath) {
+  const extension = path.extname(filePath || '').slice(1).toLowerCase();
+  const format = Object.values(IMAGE_FORMATS).find(candidate => candidate.extension === extension || (extension === 'jpeg' && candidate.extension === 'jpg'));
+  return format ? format.mimeType : 'image/png';
+}
+
+/**
+ * Every image file written for a job: the main image plus its other variants
+ * @param {Job} job - Job object
+ * @returns {Array<string>} File paths, without duplicates
+ */
+function jobImagePaths(job) {
+  const paths = [job.image_path, ...(job.image_files || []).map(file => file.path)].filter(Boolean);
+  return [...new Set(paths)];
+}
+
+module.exports = {
+  IMAGE_FORMATS,
+  DEFAULT_POST_PROCESSING,
+  normalizePostProcessing,
+  validatePostProcessing,
+  postProcessImage,
+  mimeTypeForPath,
+  jobImagePaths
+};
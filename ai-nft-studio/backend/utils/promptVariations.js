@@ -0,0 +1,134 @@
+/**
+ * Prompt variation helpers.
+ * A prompt template contains `{slot}` placeholders; every job picks one weighted
+ * value per slot, so a collection's images vary instead of sharing one prompt.
+ */
+
+const PLACEHOLDER_PATTERN = /\{([A-Za-z0-9_-]+)\}/g;
+
+/**
+ * List the slot names used in a prompt template, in order of first appearance
+ * @param {string} template - Prompt template
+ * @returns {Array<string>} Slot names
+ */
+function findPromptSlots(template) {
+  const names = [...String(template || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Normalize prompt slots from a request body, dropping rows without a name.
+ * Values may be given as strings (weight 1) or as {value, weight}.
+ * @param {Array|string} slots - Slots array (or its JSON)
+ * @returns {Array<{name: string, values: Array<{value: string, weight: number}>}>} Slots
+ */
+function normalizePromptSlots(slots) {
+  const list = typeof slots === 'string' ? JSON.parse(slots) : slots;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .map(slot => ({
+      name: String(slot.name || '').trim(),
+      values: (Array.isArray(slot.values) ? slot.values : [])
+        .map(entry => (typeof entry === 'object' && entry !== null ? entry : { value: entry }))
+        .map(entry => ({
+          value: String(entry.value === undefined || entry.value === null ? '' : entry.value).trim(),
+          weight: entry.weight === undefined || entry.weight === null || entry.weight === '' ? 1 : Number(entry.weight)
+        }))
+        .filter(entry => entry.value)
+    }))
+    .filter(slot => slot.name);
+}
+
+/**
+ * Validate prompt slots against the template they fill (no slots and no placeholders is valid)
+ * @param {string} template - Prompt template
+ * @param {Array<object>} slots - Normalized slots
+ * @returns {string|null} Error message, or null when valid
+ */
+function validatePromptSlots(template, slots) {
+  const names = new Set();
+  for (const slot of slots) {
+    if (!/^[A-Za-z0-9_-]+$/.test(slot.name)) {
+      return `Prompt slot "${slot.name}" may only contain letters, numbers, "_" and "-"`;
+    }
+
+    if (names.has(slot.name)) {
+      return `Prompt slot "${slot.name}" is listed more than once`;
+    }
+    names.add(slot.name);
+
+    if (slot.values.length === 0) {
+      return `Prompt slot "${slot.name}" has no values`;
+    }
+
+    const invalid = slot.values.find(entry => !Number.isFinite(entry.weight) || entry.weight <= 0);
+    if (invalid) {
+      return `Value "${invalid.value}" of prompt slot "${slot.name}" needs a weight greater than 0`;
+    }
+  }
+
+  const missing = findPromptSlots(template).find(name => !names.has(name));
+  if (missing) {
+    return `The prompt uses {${missing}} but no values are defined for it`;
+  }
+
+  return null;
+}
+
+function pickWeighted(values, random) {
+  const totalWeight = values.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = random() * totalWeight;
+
+  for (const entry of values) {
+    roll -= entry.weight;
+    if (roll < 0) {
+      return entry;
+    }
+  }
+
+  return values[values.length - 1];
+}
+
+/**
+ * Expand a prompt template for one job
+ * @param {string} template - Prompt template
+ * @param {Array<object>} slots - Validated slots
+ * @param {Function} [random] - Source of randomness in [0, 1)
+ * @returns {{prompt: string, variables: object}} Expanded prompt and the value chosen per slot
+ */
+function expandPrompt(template, slots, random = Math.random) {
+  const variables = {};
+  for (const slot of slots) {
+    variables[slot.name] = pickWeighted(slot.values, random).value;
+  }
+
+  const prompt = String(template || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder
+  ));
+
+  return { prompt, variables };
+}
+
+/**
+ * Metadata trait type for a slot name, e.g. "time_of_day" -> "Time Of Day"
+ * @param {string} name - Slot name
+ * @returns {string} Trait type
+ */
+function slotTraitType(name) {
+  return name
+    .split(/[_-]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+module.exports = {
+  findPromptSlots,
+  normalizePromptSlots,
+  validatePromptSlots,
+  expandPrompt,
+  slotTraitType
+};
@@ -0,0 +1,93 @@
+/**
+ * Rarity tier helpers.
+ * A tier names how many jobs of a collection are generated with its prompt
+ * modifier and style preset; tier counts must add up to the total supply.
+ */
+
+/**
+ * Normalize rarity tiers from a request body, dropping rows without a name
+ * @param {Array|string} tiers - Tiers array (or its JSON)
+ * @returns {Array<{name: string, count: number, prompt_modifier: string, style_preset: string|null}>} Tiers
+ */
+function normalizeRarityTiers(tiers) {
+  const list = typeof tiers === 'string' ? JSON.parse(tiers) : tiers;
+  if (!Array.isArray(list)) {
+    return [];
+  }
+
+  return list
+    .map(tier => ({
+      name: String(tier.name || '').trim(),
+      count: Number(tier.count),
+      prompt_modifier: String(tier.prompt_modifier || '').trim(),
+      style_preset: tier.style_preset || null
+    }))
+    .filter(tier => tier.name);
+}
+
+/**
+ * Validate rarity tiers against a collection supply (an empty array means no tiers)
+ * @param {Array<object>} tiers - Normalized tiers
+ * @param {number} totalSupply - Number of jobs the tiers must cover
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateRarityTiers(tiers, totalSupply) {
+  if (tiers.length === 0) {
+    return null;
+  }
+
+  const names = new Set();
+  for (const tier of tiers) {
+    if (names.has(tier.name)) {
+      return `Rarity tier "${tier.name}" is listed more than once`;
+    }
+    names.add(tier.name);
+
+    if (!Number.isInteger(tier.count) || tier.count < 1) {
+      return `Rarity tier "${tier.name}" needs a count of at least 1`;
+    }
+  }
+
+  const totalCount = tiers.reduce((sum, tier) => sum + tier.count, 0);
+  if (totalCount !== totalSupply) {
+    return `Rarity tier counts must add up to the total supply of ${totalSupply} (currently ${totalCount})`;
+  }
+
+  return null;
+}
+
+/**
+ * Spread tiers over a batch of jobs in random order, so rarity never follows edition position
+ * @param {Array<object>} tiers - Validated tiers
+ * @returns {Array<object>} One tier per job
+ */
+function assignRarityTiers(tiers) {
+  const assignments = tiers.flatMap(tier => Array(tier.count).fill(tier));
+
+  for (let i = assignments.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [assignments[i], assignments[j]] = [assignments[j], assignments[i]];
+  }
+
+  return assignments;
+}
+
+/**
+ * Tiers with the counts earlier drops have not used yet, so the collection as a
+ * whole still ends up with exactly the configured count of every tier
+ * @param {Array<object>} tiers - Collection tiers
+ * @param {object} assignedCounts - Jobs already created per tier name
+ * @returns {Array<object>} Tiers with a remaining count of at least 1
+ */
+function remainingRarityTiers(tiers, assignedCounts = {}) {
+  return tiers
+    .map(tier => ({ ...tier, count: tier.count - (assignedCounts[tier.name] || 0) }))
+    .filter(tier => tier.count > 0);
+}
+
+module.exports = {
+  normalizeRarityTiers,
+  validateRarityTiers,
+  assignRarityTiers,
+  remainingRarityTiers
+};
@@ -0,0 +1,58 @@
+/**
+ * Reference image helpers.
+ * A collection may carry an init image that every job is derived from; the
+ * image strength says how much of it survives (0 = ignore it, 1 = copy it).
+ */
+
+// Unset or non-numeric settings use the default; 0 is kept (DEFAULT_IMAGE_STRENGTH=0 ignores the image)
+const readFloatSetting = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const DEFAULT_IMAGE_STRENGTH = readFloatSetting('DEFAULT_IMAGE_STRENGTH', 0.35);
+
+const REFERENCE_IMAGE_TYPES = /jpeg|jpg|png|webp/;
+
+/**
+ * Read an image strength from a request body
+ * @param {number|string} [value] - Strength between 0 and 1
+ * @returns {number} Strength, or DEFAULT_IMAGE_STRENGTH when not given
+ */
+function normalizeImageStrength(value) {
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_IMAGE_STRENGTH;
+  }
+
+  return Number(value);
+}
+
+/**
+ * Validate an image strength
+ * @param {number} strength - Normalized strength
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateImageStrength(strength) {
+  if (!Number.isFinite(strength) || strength < 0 || strength > 1) {
+    return 'Image strength must be a number between 0 and 1';
+  }
+
+  return null;
+}
+
+/**
+ * Whether an uploaded file looks like a supported reference image
+ * @param {string} extension - File extension, with the dot
+ * @param {string} mimetype - Uploaded MIME type
+ * @returns {boolean} Whether the file is accepted
+ */
+function isReferenceImageFile(extension, mimetype) {
+  return REFERENCE_IMAGE_TYPES.test(extension.toLowerCase()) && REFERENCE_IMAGE_TYPES.test(mimetype);
+}
+
+module.exports = {
+  DEFAULT_IMAGE_STRENGTH,
+  normalizeImageStrength,
+  validateImageStrength,
+  isReferenceImageFile
+};
@@ -0,0 +1,46 @@
+/**
+ * Generation seed helpers.
+ * A fixed seed is spread over the editions (edition n gets seed + n - 1), so
+ * the whole range up to the last edition has to fit the providers' 32-bit seed.
+ */
+
+// Largest seed the image providers accept (unsigned 32-bit)
+const MAX_SEED = 4294967295;
+
+/**
+ * Read a seed from a request body
+ * @param {number|string} [value] - Seed; API clients may send it as a string
+ * @returns {number|null} Seed, or null when not given (each job then gets a random seed)
+ */
+function normalizeSeed(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return Number(value);
+}
+
+/**
+ * Validate a normalized seed against the editions it will be spread over
+ * @param {number|null} seed - Seed from normalizeSeed
+ * @param {number} totalSupply - Collection total supply; the last edition gets seed + totalSupply - 1
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSeed(seed, totalSupply) {
+  if (seed === null) {
+    return null;
+  }
+
+  const maxSeed = MAX_SEED - totalSupply + 1;
+  if (!Number.isInteger(seed) || seed < 0 || seed > maxSeed) {
+    return `Seed must be a whole number between 0 and ${maxSeed} so every edition stays within the ${MAX_SEED} seed limit`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_SEED,
+  normalizeSeed,
+  validateSeed
+};
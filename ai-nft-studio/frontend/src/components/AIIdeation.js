@@ -79,7 +79,7 @@ const AIIdeation = ({ onMetadataGenerated, showNotification }) => {
       };
       
       // Add advanced parameters if provided
-      if (stylePreset) requestData.stylePreset = stylePreset;
+      if (stylePreset) requestData.style = stylePreset.replace(/-/g, ' ');
       if (negativePrompt.trim()) requestData.negativePrompt = negativePrompt.trim();
       if (seed) requestData.seed = parseInt(seed);
       
@@ -122,11 +122,16 @@ const AIIdeation = ({ onMetadataGenerated, showNotification }) => {
     setIsGeneratingMetadata(true);
     try {
       const response = await axios.post('/api/ai/generate-metadata', {
-        prompt: generatedPrompt.trim()
+        art_prompt: generatedPrompt.trim()
       });
 
       const metadata = response.data.metadata;
-      onMetadataGenerated(metadata);
+      onMetadataGenerated({
+        name: metadata.collection_name,
+        symbol: metadata.symbol,
+        description: metadata.description,
+        art_prompt: generatedPrompt.trim()
+      });
       showNotification('Collection metadata generated successfully!', 'success');
     } catch (error) {
       console.error('Error generating metadata:', error);
@@ -17,23 +17,54 @@ import {
   CircularProgress,
   Slider,
   FormHelperText,
-  Chip
+  Chip,
+  IconButton,
+  FormControlLabel,
+  Switch
 } from '@mui/material';
 import {
   Settings,
   Collections,
   Save,
   AutoAwesome,
-  AttachMoney
+  AttachMoney,
+  Add,
+  Delete,
+  Image as ImageIcon
 } from '@mui/icons-material';
 import axios from 'axios';
 
+const MAX_CREATORS = 5;
+
+const DEFAULT_POST_PROCESSING = {
+  upscale: 1,
+  upscaler: 'lanczos',
+  aspect_ratio: '',
+  fit: 'crop',
+  format: 'png',
+  quality: 90,
+  strip_exif: true,
+  thumbnail_size: 256
+};
+const PROMPT_SLOT_PATTERN = /\{([A-Za-z0-9_-]+)\}/g;
+
+// "fox:3, owl" -> [{ value: 'fox', weight: 3 }, { value: 'owl', weight: 1 }]
+const parseSlotValues = (text) => text
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .map(entry => {
+    const match = entry.match(/^(.*):\s*(\d+(?:\.\d+)?)$/);
+    return match ? { value: match[1].trim(), weight: parseFloat(match[2]) } : { value: entry, weight: 1 };
+  });
+
 const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotification }) => {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
     symbol: '',
     collection_number: 100,
+    drop_supply: 100,
     art_prompt: '',
     style: 'realistic',
     batch_size: 10,
@@ -42,9 +73,17 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
     creators: [{
       address: '',
       share: 100
-    }]
+    }],
+    rarity_tiers: [],
+    prompt_slots: {},
+    image_provider: '',
+    image_strength: 0.35,
+    post_processing: DEFAULT_POST_PROCESSING
   });
   
+  const [stylePresets, setStylePresets] = useState([]);
+  const [imageProviders, setImageProviders] = useState([]);
+  const [referenceImage, setReferenceImage] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
   const [errors, setErrors] = useState({});
 
@@ -79,6 +118,22 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
     { value: 'minimalist', label: 'Minimalist' }
   ];
 
+  useEffect(() => {
+    axios.get('/api/ai/style-presets')
+      .then((response) => setStylePresets(response.data.style_presets))
+      .catch((error) => console.error('Error fetching style presets:', error));
+
+    axios.get('/api/ai/image-providers')
+      .then((response) => setImageProviders(response.data.providers))
+      .catch((error) => console.error('Error fetching image providers:', error));
+  }, []);
+
+  const selectedProvider = imageProviders.find(provider =>
+    formData.image_provider ? provider.id === formData.image_provider : provider.default
+  );
+  const supportsReferenceImage = !selectedProvider || selectedProvider.supports_reference_image;
+  const supportsProviderUpscale = !!selectedProvider && selectedProvider.supports_upscale;
+
   // Auto-fill form when metadata is generated
   useEffect(() => {
     if (generatedMetadata) {
@@ -115,17 +170,111 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
     }));
   };
 
-  const handleCreatorAddressChange = (event) => {
-    const address = event.target.value;
+  const handlePostProcessingChange = (field) => (event, sliderValue) => {
+    // Sliders pass their value as the second argument; Select passes the chosen element there
+    let value = typeof sliderValue === 'number' ? sliderValue : event.target.value;
+    if (event.target.type === 'checkbox') {
+      value = event.target.checked;
+    }
+    setFormData(prev => ({
+      ...prev,
+      post_processing: {
+        ...prev.post_processing,
+        [field]: value
+      }
+    }));
+  };
+
+  const handleCreatorChange = (index, field) => (event) => {
+    const value = field === 'share' ? parseInt(event.target.value) || 0 : event.target.value.trim();
+    setFormData(prev => ({
+      ...prev,
+      creators: prev.creators.map((creator, i) => 
+        i === index ? { ...creator, [field]: value } : creator
+      )
+    }));
+
+    if (errors.creators) {
+      setErrors(prev => ({
+        ...prev,
+        creators: null
+      }));
+    }
+  };
+
+  const addCreator = () => {
+    setFormData(prev => ({
+      ...prev,
+      creators: [...prev.creators, { address: '', share: 0 }]
+    }));
+  };
+
+  const removeCreator = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      creators: prev.creators.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleTierChange = (index, field) => (event) => {
+    const value = field === 'count' ? parseInt(event.target.value) || 0 : event.target.value;
     setFormData(prev => ({
       ...prev,
-      creators: [{
-        address,
-        share: 100
-      }]
+      rarity_tiers: prev.rarity_tiers.map((tier, i) => 
+        i === index ? { ...tier, [field]: value } : tier
+      )
     }));
+
+    if (errors.rarity_tiers) {
+      setErrors(prev => ({
+        ...prev,
+        rarity_tiers: null
+      }));
+    }
   };
 
+  const addTier = () => {
+    setFormData(prev => ({
+      ...prev,
+      rarity_tiers: [...prev.rarity_tiers, { name: '', count: 0, prompt_modifier: '', style_preset: '' }]
+    }));
+  };
+
+  const removeTier = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      rarity_tiers: prev.rarity_tiers.filter((_, i) => i !== index)
+    }));
+  };
+
+  const handleSlotChange = (name) => (event) => {
+    const value = event.target.value;
+    setFormData(prev => ({
+      ...prev,
+      prompt_slots: { ...prev.prompt_slots, [name]: value }
+    }));
+
+    if (errors.prompt_slots) {
+      setErrors(prev => ({
+        ...prev,
+        prompt_slots: null
+      }));
+    }
+  };
+
+  // Slots are whatever placeholders the art prompt currently uses
+  const promptSlotNames = [...new Set([...formData.art_prompt.matchAll(PROMPT_SLOT_PATTERN)].map(match => match[1]))];
+
+  const buildPromptSlots = () => promptSlotNames.map(name => ({
+    name,
+    values: parseSlotValues(formData.prompt_slots[name] || '')
+  }));
+
+  const totalTierCount = formData.rarity_tiers.reduce((sum, tier) => sum + tier.count, 0);
+
+  const creatorsWithAddress = formData.creators.filter(creator => creator.address);
+  const totalCreatorShare = creatorsWithAddress.reduce((sum, creator) => sum + creator.share, 0);
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -155,8 +304,21 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
       newErrors.batch_size = 'Batch size must be between 1 and 50';
     }
     
-    if (formData.creators[0].address && !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(formData.creators[0].address)) {
-      newErrors.creator_address = 'Invalid Solana wallet address';
+    if (creatorsWithAddress.some(creator => !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(creator.address))) {
+      newErrors.creators = 'Invalid Solana wallet address';
+    } else if (creatorsWithAddress.length > 0 && totalCreatorShare !== 100) {
+      newErrors.creators = `Creator shares must add up to 100 (currently ${totalCreatorShare})`;
+    }
+    
+    const emptySlot = buildPromptSlots().find(slot => slot.values.length === 0);
+    if (emptySlot) {
+      newErrors.prompt_slots = `Add at least one value for {${emptySlot.name}}`;
+    }
+    
+    if (formData.rarity_tiers.some(tier => !tier.name.trim() || tier.count < 1)) {
+      newErrors.rarity_tiers = 'Every rarity tier needs a name and a count of at least 1';
+    } else if (formData.rarity_tiers.length > 0 && totalTierCount !== formData.collection_number) {
+      newErrors.rarity_tiers = `Tier counts must add up to the collection size of ${formData.collection_number} (currently ${totalTierCount})`;
     }
     
     setErrors(newErrors);
@@ -173,8 +335,26 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
     
     setIsCreating(true);
     try {
-      const response = await axios.post('/api/collections', formData);
-      const collection = response.data.collection;
+      const response = await axios.post('/api/collections', {
+        ...formData,
+        total_supply: formData.collection_number,
+        drop_supply: Math.min(formData.drop_supply, formData.collection_number),
+        prompt_slots: buildPromptSlots()
+      });
+      let collection = response.data.collection;
+
+      if (referenceImage) {
+        try {
+          const upload = new FormData();
+          upload.append('image', referenceImage);
+          upload.append('image_strength', formData.image_strength);
+          const referenceResponse = await axios.post(`/api/collections/${collection.id}/reference-image`, upload);
+          collection = referenceResponse.data.collection;
+        } catch (uploadError) {
+          console.error('Error uploading reference image:', uploadError);
+          showNotification(uploadError.response?.data?.error || 'Failed to upload the reference image', 'warning');
+        }
+      }
       
       onCollectionCreated(collection);
       showNotification(`Collection "${collection.name}" created successfully!`, 'success');
@@ -185,6 +365,7 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
         description: '',
         symbol: '',
         collection_number: 100,
+        drop_supply: 100,
         art_prompt: '',
         style: 'realistic',
         batch_size: 10,
@@ -193,8 +374,14 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
         creators: [{
           address: '',
           share: 100
-        }]
+        }],
+        rarity_tiers: [],
+        prompt_slots: {},
+        image_provider: '',
+        image_strength: 0.35,
+        post_processing: DEFAULT_POST_PROCESSING
       });
+      setReferenceImage(null);
     } catch (error) {
       console.error('Error creating collection:', error);
       showNotification(
@@ -292,10 +479,31 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
                 value={formData.art_prompt}
                 onChange={handleInputChange('art_prompt')}
                 error={!!errors.art_prompt}
-                helperText={errors.art_prompt || 'Detailed description for AI image generation'}
+                helperText={errors.art_prompt || 'Detailed description for AI image generation. Use {slot} placeholders, e.g. "{animal} in {setting}", to vary it per NFT'}
                 placeholder="Detailed art prompt for generating unique NFT images..."
               />
             </Grid>
+
+            {promptSlotNames.map((name) => (
+              <Grid item xs={12} md={6} key={name}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label={`Values for {${name}}`}
+                  value={formData.prompt_slots[name] || ''}
+                  onChange={handleSlotChange(name)}
+                  error={!!errors.prompt_slots}
+                  placeholder="e.g., fox:3, wolf:2, owl"
+                  helperText="Comma-separated; add :weight to make a value more common"
+                />
+              </Grid>
+            ))}
+
+            {errors.prompt_slots && (
+              <Grid item xs={12}>
+                <FormHelperText error>{errors.prompt_slots}</FormHelperText>
+              </Grid>
+            )}
             
             <Grid item xs={12} md={6}>
               <FormControl fullWidth>
@@ -314,6 +522,66 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
               </FormControl>
             </Grid>
             
+            <Grid item xs={12} md={6}>
+              <FormControl fullWidth>
+                <InputLabel>Image Provider</InputLabel>
+                <Select
+                  value={formData.image_provider}
+                  onChange={handleInputChange('image_provider')}
+                  label="Image Provider"
+                >
+                  <MenuItem value="">Server default</MenuItem>
+                  {imageProviders.map((provider) => (
+                    <MenuItem key={provider.id} value={provider.id} disabled={!provider.configured}>
+                      {provider.label}{provider.configured ? '' : ' (not configured)'}
+                    </MenuItem>
+                  ))}
+                </Select>
+                <FormHelperText>Used for every image in the collection, including regenerations</FormHelperText>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Button
+                variant="outlined"
+                component="label"
+                startIcon={<ImageIcon />}
+                disabled={!supportsReferenceImage}
+              >
+                {referenceImage ? referenceImage.name : 'Reference Image (optional)'}
+                <input
+                  type="file"
+                  hidden
+                  accept="image/png,image/jpeg,image/webp"
+                  onChange={(event) => setReferenceImage(event.target.files[0] || null)}
+                />
+              </Button>
+              {referenceImage && (
+                <IconButton onClick={() => setReferenceImage(null)} size="small" sx={{ ml: 1 }}>
+                  <Delete />
+                </IconButton>
+              )}
+              <FormHelperText>
+                {supportsReferenceImage
+                  ? 'Every NFT is derived from this image, e.g. a character sheet or a sketch'
+                  : 'The selected image provider does not support reference images'}
+              </FormHelperText>
+            </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Typography gutterBottom>Image Strength: {formData.image_strength}</Typography>
+              <Slider
+                value={formData.image_strength}
+                onChange={handleSliderChange('image_strength')}
+                min={0}
+                max={1}
+                step={0.05}
+                disabled={!referenceImage}
+                valueLabelDisplay="auto"
+              />
+              <FormHelperText>How closely the NFTs follow the reference image</FormHelperText>
+            </Grid>
+            
             <Grid item xs={12} md={6}>
               <TextField
                 fullWidth
@@ -352,6 +620,19 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
               />
               <FormHelperText>Total number of NFTs to generate</FormHelperText>
             </Grid>
+
+            <Grid item xs={12} md={6}>
+              <Typography gutterBottom>Drop Size: {Math.min(formData.drop_supply, formData.collection_number)}</Typography>
+              <Slider
+                value={Math.min(formData.drop_supply, formData.collection_number)}
+                onChange={handleSliderChange('drop_supply')}
+                min={1}
+                max={formData.collection_number}
+                step={1}
+                valueLabelDisplay="auto"
+              />
+              <FormHelperText>NFTs in the first drop; later drops continue the edition numbers up to the collection size</FormHelperText>
+            </Grid>
             
             <Grid item xs={12} md={6}>
               <Typography gutterBottom>Batch Size: {formData.batch_size}</Typography>
@@ -374,6 +655,207 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
 
             <Divider sx={{ width: '100%', my: 2 }} />
 
+            {/* Post-processing */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom>
+                Post-processing
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Applied to every generated image before review; the metadata lists each produced file
+              </Typography>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Upscale</InputLabel>
+                <Select
+                  value={formData.post_processing.upscale}
+                  onChange={handlePostProcessingChange('upscale')}
+                  label="Upscale"
+                >
+                  {[1, 1.5, 2, 3, 4].map((factor) => (
+                    <MenuItem key={factor} value={factor}>{factor === 1 ? 'None' : `${factor}x`}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Upscaler</InputLabel>
+                <Select
+                  value={formData.post_processing.upscaler}
+                  onChange={handlePostProcessingChange('upscaler')}
+                  label="Upscaler"
+                  disabled={formData.post_processing.upscale === 1}
+                >
+                  <MenuItem value="lanczos">Lanczos (built-in)</MenuItem>
+                  <MenuItem value="provider" disabled={!supportsProviderUpscale}>
+                    Image provider{supportsProviderUpscale ? '' : ' (not supported)'}
+                  </MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Aspect Ratio</InputLabel>
+                <Select
+                  value={formData.post_processing.aspect_ratio}
+                  onChange={handlePostProcessingChange('aspect_ratio')}
+                  label="Aspect Ratio"
+                >
+                  <MenuItem value="">As generated</MenuItem>
+                  {['1:1', '4:3', '3:4', '16:9', '9:16'].map((ratio) => (
+                    <MenuItem key={ratio} value={ratio}>{ratio}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Fit</InputLabel>
+                <Select
+                  value={formData.post_processing.fit}
+                  onChange={handlePostProcessingChange('fit')}
+                  label="Fit"
+                  disabled={!formData.post_processing.aspect_ratio}
+                >
+                  <MenuItem value="crop">Crop</MenuItem>
+                  <MenuItem value="pad">Pad</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControl fullWidth size="small">
+                <InputLabel>Format</InputLabel>
+                <Select
+                  value={formData.post_processing.format}
+                  onChange={handlePostProcessingChange('format')}
+                  label="Format"
+                >
+                  <MenuItem value="png">PNG</MenuItem>
+                  <MenuItem value="webp">WebP</MenuItem>
+                  <MenuItem value="jpeg">JPEG</MenuItem>
+                </Select>
+              </FormControl>
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <Typography gutterBottom>Quality: {formData.post_processing.quality}</Typography>
+              <Slider
+                value={formData.post_processing.quality}
+                onChange={handlePostProcessingChange('quality')}
+                min={1}
+                max={100}
+                step={1}
+                disabled={formData.post_processing.format === 'png'}
+                valueLabelDisplay="auto"
+              />
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <TextField
+                fullWidth
+                size="small"
+                type="number"
+                label="Thumbnail Size"
+                value={formData.post_processing.thumbnail_size}
+                onChange={(event) => handlePostProcessingChange('thumbnail_size')(event, parseInt(event.target.value) || 0)}
+                inputProps={{ min: 0 }}
+                helperText="Longest side in px; 0 for no thumbnail"
+              />
+            </Grid>
+
+            <Grid item xs={12} md={3}>
+              <FormControlLabel
+                control={
+                  <Switch
+                    checked={formData.post_processing.strip_exif}
+                    onChange={handlePostProcessingChange('strip_exif')}
+                  />
+                }
+                label="Strip EXIF"
+              />
+            </Grid>
+
+            <Divider sx={{ width: '100%', my: 2 }} />
+
+            {/* Rarity Tiers */}
+            <Grid item xs={12}>
+              <Typography variant="h6" gutterBottom>
+                Rarity Tiers (Optional)
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                Each tier is generated for exactly its count of NFTs, adding its prompt modifier and style preset. The tier becomes the Rarity attribute in the metadata.
+              </Typography>
+              {formData.rarity_tiers.map((tier, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                  <TextField
+                    size="small"
+                    label="Tier Name"
+                    value={tier.name}
+                    onChange={handleTierChange(index, 'name')}
+                    error={!!errors.rarity_tiers}
+                    placeholder="e.g., Legendary"
+                    sx={{ width: 180 }}
+                  />
+                  <TextField
+                    size="small"
+                    label="Count"
+                    type="number"
+                    value={tier.count}
+                    onChange={handleTierChange(index, 'count')}
+                    inputProps={{ min: 1 }}
+                    sx={{ width: 110 }}
+                  />
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Prompt Modifier"
+                    value={tier.prompt_modifier}
+                    onChange={handleTierChange(index, 'prompt_modifier')}
+                    placeholder="e.g., golden armor, glowing aura"
+                  />
+                  <FormControl size="small" sx={{ minWidth: 180 }}>
+                    <InputLabel>Style Preset</InputLabel>
+                    <Select
+                      value={tier.style_preset}
+                      onChange={handleTierChange(index, 'style_preset')}
+                      label="Style Preset"
+                    >
+                      <MenuItem value="">Collection default</MenuItem>
+                      {stylePresets.map((preset) => (
+                        <MenuItem key={preset.id} value={preset.id}>
+                          {preset.name}
+                        </MenuItem>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <IconButton onClick={() => removeTier(index)} color="error">
+                    <Delete />
+                  </IconButton>
+                </Box>
+              ))}
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Button size="small" startIcon={<Add />} onClick={addTier}>
+                  Add Tier
+                </Button>
+                {formData.rarity_tiers.length > 0 && (
+                  <Typography variant="body2" color={totalTierCount === formData.collection_number ? 'text.secondary' : 'error'}>
+                    Assigned: {totalTierCount} / {formData.collection_number}
+                  </Typography>
+                )}
+              </Box>
+              <FormHelperText error={!!errors.rarity_tiers}>
+                {errors.rarity_tiers || 'Leave empty to generate the collection without rarity tiers'}
+              </FormHelperText>
+            </Grid>
+
+            <Divider sx={{ width: '100%', my: 2 }} />
+
             {/* Cost Estimation */}
             <Grid item xs={12}>
               <Typography variant="h6" gutterBottom sx={{ display: 'flex', alignItems: 'center' }}>
@@ -461,15 +943,52 @@ const CollectionForm = ({ generatedMetadata, onCollectionCreated, showNotificati
             </Grid>
             
             <Grid item xs={12} md={6}>
-              <TextField
-                fullWidth
-                label="Creator Wallet Address (Optional)"
-                value={formData.creators[0].address}
-                onChange={handleCreatorAddressChange}
-                error={!!errors.creator_address}
-                helperText={errors.creator_address || 'Solana wallet address for royalties'}
-                placeholder="e.g., 11111111111111111111111111111112"
-              />
+              <Typography gutterBottom>Creators (Optional)</Typography>
+              {formData.creators.map((creator, index) => (
+                <Box key={index} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={`Creator ${index + 1} Wallet`}
+                    value={creator.address}
+                    onChange={handleCreatorChange(index, 'address')}
+                    error={!!errors.creators}
+                    placeholder="e.g., 11111111111111111111111111111112"
+                  />
+                  <TextField
+                    size="small"
+                    label="Share %"
+                    type="number"
+                    value={creator.share}
+                    onChange={handleCreatorChange(index, 'share')}
+                    inputProps={{ min: 0, max: 100 }}
+                    sx={{ width: 110 }}
+                  />
+                  <IconButton
+                    onClick={() => removeCreator(index)}
+                    disabled={formData.creators.length === 1}
+                    color="error"
+                  >
+                    <Delete />
+                  </IconButton>
+                </Box>
+              ))}
+              <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                <Button
+                  size="small"
+                  startIcon={<Add />}
+                  onClick={addCreator}
+                  disabled={formData.creators.length >= MAX_CREATORS}
+                >
+                  Add Creator
+                </Button>
+                <Typography variant="body2" color={totalCreatorShare === 100 || creatorsWithAddress.length === 0 ? 'text.secondary' : 'error'}>
+                  Total share: {totalCreatorShare}%
+                </Typography>
+              </Box>
+              <FormHelperText error={!!errors.creators}>
+                {errors.creators || `Up to ${MAX_CREATORS} Solana wallets; shares must add up to 100`}
+              </FormHelperText>
             </Grid>
 
             {/* Submit Button */}
@@ -117,9 +117,12 @@ const CollectionList = ({ onCollectionSelected, showNotification }) => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed': return 'success';
-      case 'processing': return 'warning';
-      case 'failed': return 'error';
+      case 'generating_initial': return 'warning';
+      case 'generating_batch': return 'warning';
+      case 'review': return 'info';
+      case 'complete': return 'success';
+      case 'packaged': return 'primary';
+      case 'published': return 'secondary';
       default: return 'default';
     }
   };
@@ -194,7 +197,7 @@ const CollectionList = ({ onCollectionSelected, showNotification }) => {
                   
                   <Box sx={{ mb: 2 }}>
                     <Chip
-                      label={collection.status?.toUpperCase() || 'DRAFT'}
+                      label={collection.status?.replace('_', ' ').toUpperCase() || 'CREATED'}
                       color={getStatusColor(collection.status)}
                       size="small"
                       sx={{ mr: 1 }}
@@ -347,7 +350,7 @@ const CollectionList = ({ onCollectionSelected, showNotification }) => {
                 <ListItem>
                   <ListItemText
                     primary="Art Prompt"
-                    secondary={selectedCollection.art_prompt}
+                    secondary={selectedCollection.ai_prompt}
                   />
                 </ListItem>
                 <ListItem>
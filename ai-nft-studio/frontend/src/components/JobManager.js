@@ -22,7 +22,14 @@ import {
   List,
   ListItem,
   ListItemText,
-  ListItemSecondaryAction
+  ListItemSecondaryAction,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  FormControlLabel,
+  Checkbox,
+  TextField
 } from '@mui/material';
 import {
   Work,
@@ -35,39 +42,111 @@ import {
   Visibility,
   Delete,
   Stop,
-  GetApp
+  GetApp,
+  ContentCopy,
+  NewReleases
 } from '@mui/icons-material';
 import axios from 'axios';
 
+// Stats cards group job statuses the way the worker moves through them
+const calculateStats = (jobs) => jobs.reduce((acc, job) => {
+  acc.total++;
+  if (job.status === 'queued' || job.status === 'generating') {
+    acc.processing++;
+  } else if (job.status === 'generated') {
+    acc.completed++;
+  } else if (job.status === 'error') {
+    acc.failed++;
+  } else if (acc[job.status] !== undefined) {
+    acc[job.status]++;
+  }
+  return acc;
+}, {
+  total: 0,
+  pending: 0,
+  processing: 0,
+  completed: 0,
+  approved: 0,
+  failed: 0
+});
+
+// Tiles show the thumbnail when post-processing produced one
+const getTileImage = (job) => {
+  if (job.thumbnail_url) return job.thumbnail_url;
+  const hasThumbnail = (job.image_files || []).some((file) => file.variant === 'thumbnail');
+  return job.image_url && hasThumbnail ? `${job.image_url}?variant=thumbnail` : job.image_url;
+};
+
 const JobManager = ({ selectedCollection, showNotification }) => {
   const [jobs, setJobs] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [isPaused, setIsPaused] = useState(false);
   const [selectedJob, setSelectedJob] = useState(null);
   const [previewOpen, setPreviewOpen] = useState(false);
-  const [stats, setStats] = useState({
-    total: 0,
-    pending: 0,
-    processing: 0,
-    completed: 0,
-    approved: 0,
-    failed: 0
-  });
+  const stats = calculateStats(jobs);
   const [isGeneratingPackage, setIsGeneratingPackage] = useState(false);
   const [packageUrl, setPackageUrl] = useState(null);
+  const [metadataProfiles, setMetadataProfiles] = useState([]);
+  const [metadataProfile, setMetadataProfile] = useState('metaplex-legacy');
+  const [blockDuplicates, setBlockDuplicates] = useState(true);
+  const [includeRarityRank, setIncludeRarityRank] = useState(false);
+  const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const [duplicateJobIds, setDuplicateJobIds] = useState(new Set());
+  const [progress, setProgress] = useState(null);
+  const [dropDialogOpen, setDropDialogOpen] = useState(false);
+  const [dropForm, setDropForm] = useState({ supply: '', art_prompt: '', style: '' });
+  const [isOpeningDrop, setIsOpeningDrop] = useState(false);
 
-  // Auto-refresh jobs every 5 seconds when processing
   useEffect(() => {
-    let interval;
-    if (selectedCollection && isProcessing) {
-      interval = setInterval(() => {
-        fetchJobs();
-      }, 5000);
-    }
-    return () => {
-      if (interval) clearInterval(interval);
+    axios.get('/api/collections/metadata-profiles')
+      .then((response) => setMetadataProfiles(response.data.profiles))
+      .catch((error) => console.error('Error fetching metadata profiles:', error));
+  }, []);
+
+  // Apply job lifecycle events from the server to the grid as they happen
+  useEffect(() => {
+    if (!selectedCollection) return undefined;
+
+    const events = new EventSource(`/api/collections/${selectedCollection.id}/events`);
+    events.onmessage = (message) => {
+      const event = JSON.parse(message.data);
+      if (event.type === 'progress') {
+        setProgress(event.progress);
+        setIsProcessing(event.progress.is_processing);
+        setIsPaused(event.progress.is_paused);
+        return;
+      }
+      if (event.type === 'deleted') {
+        setJobs((prev) => prev.filter((job) => job.id !== event.job.id));
+        return;
+      }
+      mergeJob(event.job);
+    };
+    events.onerror = () => {
+      // EventSource reconnects by itself; the progress event it receives then resyncs the buttons
+      console.warn('Job event stream interrupted, reconnecting...');
     };
-  }, [selectedCollection, isProcessing]);
+
+    return () => events.close();
+  }, [selectedCollection]);
+
+  // The worker is busy while any job waits for or holds a lease
+  useEffect(() => {
+    if (jobs.length > 0) {
+      setIsProcessing(jobs.some((job) => job.status === 'queued' || job.status === 'generating'));
+    }
+  }, [jobs]);
+
+  const mergeJob = (update) => {
+    setJobs((prev) => {
+      if (!prev.some((job) => job.id === update.id)) {
+        return [...prev, update].sort((a, b) => a.edition_number - b.edition_number);
+      }
+      return prev.map((job) => (job.id === update.id ? { ...job, ...update } : job));
+    });
+    setSelectedJob((prev) => (prev && prev.id === update.id ? { ...prev, ...update } : prev));
+  };
 
   // Fetch jobs when collection changes
   useEffect(() => {
@@ -81,27 +160,17 @@ const JobManager = ({ selectedCollection, showNotification }) => {
     
     setIsLoading(true);
     try {
-      const response = await axios.get(`/api/collections/${selectedCollection.id}/jobs`);
-      setJobs(response.data.jobs);
-      
-      // Calculate stats
-      const newStats = response.data.jobs.reduce((acc, job) => {
-        acc.total++;
-        acc[job.status]++;
-        return acc;
-      }, {
-        total: 0,
-        pending: 0,
-        processing: 0,
-        completed: 0,
-        approved: 0,
-        failed: 0
+      // The grid and its stats cover every edition, not just the first page
+      const response = await axios.get(`/api/collections/${selectedCollection.id}/jobs`, {
+        params: { limit: selectedCollection.total_supply }
       });
-      setStats(newStats);
+      setJobs(response.data.jobs);
       
-      // Check if any jobs are processing
-      const hasProcessing = response.data.jobs.some(job => job.status === 'processing');
-      setIsProcessing(hasProcessing);
+      // Jobs waiting for or held by the background worker
+      const progressResponse = await axios.get(`/api/collections/${selectedCollection.id}/progress`);
+      setProgress(progressResponse.data.progress);
+      setIsProcessing(progressResponse.data.progress.is_processing);
+      setIsPaused(progressResponse.data.progress.is_paused);
     } catch (error) {
       console.error('Error fetching jobs:', error);
       showNotification('Failed to fetch jobs', 'error');
@@ -110,6 +179,15 @@ const JobManager = ({ selectedCollection, showNotification }) => {
     }
   };
 
+  const fetchProgress = async () => {
+    try {
+      const response = await axios.get(`/api/collections/${selectedCollection.id}/progress`);
+      setProgress(response.data.progress);
+    } catch (error) {
+      console.error('Error fetching progress:', error);
+    }
+  };
+
   const handleStartBatch = async () => {
     if (!selectedCollection) return;
     
@@ -133,7 +211,7 @@ const JobManager = ({ selectedCollection, showNotification }) => {
     
     setIsProcessing(true);
     try {
-      await axios.post(`/api/collections/${selectedCollection.id}/generate-continued`);
+      await axios.post(`/api/collections/${selectedCollection.id}/continue-generation`);
       showNotification('Continued batch generation!', 'success');
       fetchJobs();
     } catch (error) {
@@ -146,11 +224,58 @@ const JobManager = ({ selectedCollection, showNotification }) => {
     }
   };
 
+  const handleOpenDropDialog = () => {
+    setDropForm({
+      supply: Math.min(selectedCollection.drop_supply || progress.remaining_supply, progress.remaining_supply),
+      art_prompt: selectedCollection.ai_prompt || '',
+      style: selectedCollection.style || ''
+    });
+    setDropDialogOpen(true);
+  };
+
+  const handleOpenDrop = async () => {
+    setIsOpeningDrop(true);
+    try {
+      const response = await axios.post(`/api/collections/${selectedCollection.id}/drops`, dropForm);
+      const { drop } = response.data;
+      showNotification(`Drop ${drop.drop_number} opened with editions #${drop.first_edition}-#${drop.last_edition}`, 'success');
+      setDropDialogOpen(false);
+      setPackageUrl(null);
+      fetchJobs();
+    } catch (error) {
+      console.error('Error opening drop:', error);
+      showNotification(
+        error.response?.data?.error || 'Failed to open the next drop',
+        'error'
+      );
+    } finally {
+      setIsOpeningDrop(false);
+    }
+  };
+
+  const handleTogglePause = async () => {
+    if (!selectedCollection) return;
+    
+    const action = isPaused ? 'resume' : 'pause';
+    try {
+      const response = await axios.post(`/api/collections/${selectedCollection.id}/${action}`);
+      setIsPaused(response.data.progress.is_paused);
+      showNotification(response.data.message, 'info');
+    } catch (error) {
+      console.error(`Error trying to ${action} generation:`, error);
+      showNotification(
+        error.response?.data?.error || `Failed to ${action} generation`,
+        'error'
+      );
+    }
+  };
+
   const handleApproveJob = async (jobId) => {
     try {
-      await axios.put(`/api/jobs/${jobId}/approve`);
+      await axios.post(`/api/jobs/${jobId}/approve`);
       showNotification('Image approved!', 'success');
-      fetchJobs();
+      // Approving the last image of a drop completes it and unlocks the next one
+      fetchProgress();
     } catch (error) {
       console.error('Error approving job:', error);
       showNotification('Failed to approve image', 'error');
@@ -159,9 +284,8 @@ const JobManager = ({ selectedCollection, showNotification }) => {
 
   const handleRegenerateJob = async (jobId) => {
     try {
-      await axios.put(`/api/jobs/${jobId}/regenerate`);
+      await axios.post(`/api/jobs/${jobId}/regenerate`);
       showNotification('Regenerating image...', 'info');
-      fetchJobs();
     } catch (error) {
       console.error('Error regenerating job:', error);
       showNotification('Failed to regenerate image', 'error');
@@ -172,23 +296,62 @@ const JobManager = ({ selectedCollection, showNotification }) => {
     try {
       await axios.delete(`/api/jobs/${jobId}`);
       showNotification('Job deleted', 'info');
-      fetchJobs();
+      setJobs((prev) => prev.filter((job) => job.id !== jobId));
     } catch (error) {
       console.error('Error deleting job:', error);
       showNotification('Failed to delete job', 'error');
     }
   };
 
+  const markDuplicates = (report) => {
+    const ids = new Set();
+    [...report.exact, ...report.near].forEach((finding) => {
+      finding.items.forEach((item) => ids.add(item.job_id));
+    });
+    setDuplicateJobIds(ids);
+  };
+
+  const handleCheckDuplicates = async () => {
+    if (!selectedCollection) return;
+    
+    setIsCheckingDuplicates(true);
+    try {
+      const response = await axios.get(`/api/collections/${selectedCollection.id}/duplicates`);
+      const { report } = response.data;
+      markDuplicates(report);
+      showNotification(
+        report.summary.total > 0 ?
+          `Found ${report.summary.exact} exact and ${report.summary.near} near duplicates` :
+          `No duplicates found in ${report.checked} images`,
+        report.summary.total > 0 ? 'warning' : 'success'
+      );
+    } catch (error) {
+      console.error('Error checking duplicates:', error);
+      showNotification('Failed to check duplicates', 'error');
+    } finally {
+      setIsCheckingDuplicates(false);
+    }
+  };
+
   const handleGeneratePackage = async () => {
     if (!selectedCollection) return;
     
     setIsGeneratingPackage(true);
     try {
-      const response = await axios.post(`/api/collections/${selectedCollection.id}/create-package`);
-      setPackageUrl(response.data.downloadUrl);
+      const response = await axios.post(`/api/collections/${selectedCollection.id}/package`, {
+        drop_number: progress?.drop_number,
+        metadata_profile: metadataProfile,
+        block_duplicates: blockDuplicates,
+        include_rarity_rank: includeRarityRank
+      });
+      setPackageUrl(`/api/collections/${selectedCollection.id}/download?drop=${response.data.drop_number}`);
+      fetchProgress();
       showNotification('Package generated successfully!', 'success');
     } catch (error) {
       console.error('Error generating package:', error);
+      if (error.response?.data?.report) {
+        markDuplicates(error.response.data.report);
+      }
       showNotification(
         error.response?.data?.error || 'Failed to generate package',
         'error'
@@ -211,20 +374,23 @@ const JobManager = ({ selectedCollection, showNotification }) => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'completed': return 'success';
+      case 'generated': return 'success';
       case 'approved': return 'primary';
-      case 'processing': return 'warning';
+      case 'generating': return 'warning';
+      case 'queued': return 'info';
       case 'failed': return 'error';
+      case 'error': return 'error';
       default: return 'default';
     }
   };
 
   const getStatusIcon = (status) => {
     switch (status) {
-      case 'completed': return <CheckCircle />;
+      case 'generated': return <CheckCircle />;
       case 'approved': return <CheckCircle />;
-      case 'processing': return <CircularProgress size={16} />;
+      case 'generating': return <CircularProgress size={16} />;
       case 'failed': return <Cancel />;
+      case 'error': return <Cancel />;
       default: return null;
     }
   };
@@ -252,6 +418,7 @@ const JobManager = ({ selectedCollection, showNotification }) => {
       
       <Typography variant="h6" color="text.secondary" sx={{ mb: 3 }}>
         Collection: {selectedCollection.name}
+        {progress?.drop_editions && ` · Drop ${progress.drop_number} (#${progress.drop_editions.first}-#${progress.drop_editions.last})`}
       </Typography>
 
       {/* Stats Cards */}
@@ -340,6 +507,25 @@ const JobManager = ({ selectedCollection, showNotification }) => {
           Continue Batch
         </Button>
         
+        <Button
+          variant="outlined"
+          onClick={handleOpenDropDialog}
+          disabled={!progress?.can_open_drop}
+          startIcon={<NewReleases />}
+        >
+          Open Next Drop
+        </Button>
+        
+        <Button
+          variant="outlined"
+          color={isPaused ? 'success' : 'warning'}
+          onClick={handleTogglePause}
+          disabled={stats.total === 0}
+          startIcon={isPaused ? <PlayArrow /> : <Pause />}
+        >
+          {isPaused ? 'Resume' : 'Pause'}
+        </Button>
+        
         <Button
           variant="outlined"
           onClick={fetchJobs}
@@ -349,6 +535,30 @@ const JobManager = ({ selectedCollection, showNotification }) => {
           Refresh
         </Button>
         
+        <Button
+          variant="outlined"
+          onClick={handleCheckDuplicates}
+          disabled={isCheckingDuplicates}
+          startIcon={isCheckingDuplicates ? <CircularProgress size={20} /> : <ContentCopy />}
+        >
+          Check Duplicates
+        </Button>
+        
+        <FormControl size="small" sx={{ minWidth: 220 }}>
+          <InputLabel>Metadata Profile</InputLabel>
+          <Select
+            value={metadataProfile}
+            onChange={(e) => setMetadataProfile(e.target.value)}
+            label="Metadata Profile"
+          >
+            {metadataProfiles.map((profile) => (
+              <MenuItem key={profile.id} value={profile.id}>
+                {profile.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        
         <Button
           variant="contained"
           color="secondary"
@@ -359,6 +569,26 @@ const JobManager = ({ selectedCollection, showNotification }) => {
           {isGeneratingPackage ? 'Generating...' : 'Create Package'}
         </Button>
         
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={blockDuplicates}
+              onChange={(e) => setBlockDuplicates(e.target.checked)}
+            />
+          }
+          label="Block duplicates"
+        />
+        
+        <FormControlLabel
+          control={
+            <Checkbox
+              checked={includeRarityRank}
+              onChange={(e) => setIncludeRarityRank(e.target.checked)}
+            />
+          }
+          label="Add rarity rank"
+        />
+        
         {packageUrl && (
           <Button
             variant="contained"
@@ -389,15 +619,18 @@ const JobManager = ({ selectedCollection, showNotification }) => {
                   <CardMedia
                     component="img"
                     height="200"
-                    image={job.image_url}
-                    alt={`NFT #${job.token_id}`}
+                    image={getTileImage(job)}
+                    alt={`NFT #${job.edition_number}`}
                     sx={{ cursor: 'pointer' }}
                     onClick={() => handlePreviewJob(job)}
                   />
                 )}
                 <CardContent>
                   <Typography variant="h6" gutterBottom>
-                    #{job.token_id}
+                    #{job.edition_number}
+                    <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                      Drop {job.drop_number}
+                    </Typography>
                   </Typography>
                   <Chip
                     icon={getStatusIcon(job.status)}
@@ -406,14 +639,25 @@ const JobManager = ({ selectedCollection, showNotification }) => {
                     size="small"
                     sx={{ mb: 1 }}
                   />
+                  {duplicateJobIds.has(job.id) && (
+                    <Chip
+                      icon={<ContentCopy />}
+                      label="DUPLICATE"
+                      color="warning"
+                      size="small"
+                      sx={{ mb: 1, ml: 1 }}
+                    />
+                  )}
                   {job.error_message && (
-                    <Typography variant="body2" color="error" sx={{ mt: 1 }}>
+                    <Typography variant="body2" color={job.status === 'queued' ? 'warning.main' : 'error'} sx={{ mt: 1 }}>
+                      {job.status === 'queued' && `Retry ${job.retry_count} scheduled: `}
+                      {job.status === 'failed' && job.error_category && `Failed (${job.error_category.replace('_', ' ')}): `}
                       {job.error_message}
                     </Typography>
                   )}
                 </CardContent>
                 <CardActions>
-                  {job.status === 'completed' && (
+                  {job.status === 'generated' && (
                     <>
                       <Button
                         size="small"
@@ -431,6 +675,15 @@ const JobManager = ({ selectedCollection, showNotification }) => {
                       </Button>
                     </>
                   )}
+                  {(job.status === 'failed' || job.status === 'error') && (
+                    <Button
+                      size="small"
+                      onClick={() => handleRegenerateJob(job.id)}
+                      startIcon={<Refresh />}
+                    >
+                      Retry
+                    </Button>
+                  )}
                   {job.image_url && (
                     <IconButton
                       size="small"
@@ -453,6 +706,57 @@ const JobManager = ({ selectedCollection, showNotification }) => {
         </Grid>
       )}
 
+      {/* Next Drop Dialog */}
+      <Dialog
+        open={dropDialogOpen}
+        onClose={() => setDropDialogOpen(false)}
+        maxWidth="sm"
+        fullWidth
+      >
+        <DialogTitle>Open Drop {progress?.drop_number + 1}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Editions continue from #{progress?.drop_editions?.last + 1}; {progress?.remaining_supply} of {selectedCollection.total_supply} are left.
+          </Typography>
+          <TextField
+            fullWidth
+            type="number"
+            label="Drop Supply"
+            value={dropForm.supply}
+            onChange={(e) => setDropForm((prev) => ({ ...prev, supply: e.target.value }))}
+            inputProps={{ min: 1, max: progress?.remaining_supply }}
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            multiline
+            rows={3}
+            label="Art Prompt"
+            value={dropForm.art_prompt}
+            onChange={(e) => setDropForm((prev) => ({ ...prev, art_prompt: e.target.value }))}
+            helperText="Leave the collection prompt or give this drop its own"
+            sx={{ mb: 2 }}
+          />
+          <TextField
+            fullWidth
+            label="Art Style"
+            value={dropForm.style}
+            onChange={(e) => setDropForm((prev) => ({ ...prev, style: e.target.value }))}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDropDialogOpen(false)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleOpenDrop}
+            disabled={isOpeningDrop}
+            startIcon={isOpeningDrop ? <CircularProgress size={20} /> : <NewReleases />}
+          >
+            Open Drop
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Preview Dialog */}
       <Dialog
         open={previewOpen}
@@ -463,20 +767,20 @@ const JobManager = ({ selectedCollection, showNotification }) => {
         {selectedJob && (
           <>
             <DialogTitle>
-              NFT #{selectedJob.token_id} - {selectedJob.status.toUpperCase()}
+              NFT #{selectedJob.edition_number} - {selectedJob.status.toUpperCase()}
             </DialogTitle>
             <DialogContent>
               {selectedJob.image_url && (
                 <Box sx={{ textAlign: 'center', mb: 2 }}>
                   <img
                     src={selectedJob.image_url}
-                    alt={`NFT #${selectedJob.token_id}`}
+                    alt={`NFT #${selectedJob.edition_number}`}
                     style={{ maxWidth: '100%', height: 'auto', borderRadius: 8 }}
                   />
                 </Box>
               )}
               <Typography variant="body2" color="text.secondary">
-                <strong>Prompt:</strong> {selectedJob.prompt}
+                <strong>Prompt:</strong> {selectedJob.ai_prompt}
               </Typography>
               {selectedJob.metadata && (
                 <Box sx={{ mt: 2 }}>
@@ -490,7 +794,7 @@ const JobManager = ({ selectedCollection, showNotification }) => {
               )}
             </DialogContent>
             <DialogActions>
-              {selectedJob.status === 'completed' && (
+              {selectedJob.status === 'generated' && (
                 <>
                   <Button
                     onClick={() => {
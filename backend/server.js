@@ -3,13 +3,42 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const sharp = require('sharp');
 const getColors = require('get-image-colors');
 const crypto = require('crypto');
-const JSZip = require('jszip');
+const archiver = require('archiver');
+const { v4: uuidv4 } = require('uuid');
+const {
+  getExportFormat,
+  generateSugarCollectionMetadata,
+  generateSugarConfig
+} = require('./utils/exportFormats');
+const { normalizeCreators, validateCreators } = require('./utils/creators');
+const { getMetadataProfile, listMetadataProfiles } = require('../shared/metadataProfiles');
+const {
+  attachLayerImages,
+  attachOneOfOneImages,
+  validateTraitLayers,
+  validateLayeredSupply,
+  createTraitJobQueue
+} = require('./utils/traitLayers');
+const { parseTraitRules, validateTraitRules } = require('./utils/traitRules');
+const {
+  DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  fingerprintImage,
+  findDuplicates,
+  summarizeDuplicates
+} = require('./utils/duplicates');
+const { computeRarity, rarityToCsv } = require('../shared/rarity');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
+const OUTPUT_DIR = process.env.OUTPUT_DIR || path.join(__dirname, 'output');
+const TEMP_DIR = process.env.TEMP_DIR || path.join(__dirname, 'temp');
+const JOB_RETENTION_MS = parseInt(process.env.JOB_RETENTION_MS) || 60 * 60 * 1000; // 1 hour
+const DUPLICATE_CHECK_MODES = ['off', 'report', 'block'];
 
 // Middleware
 app.use(cors());
@@ -17,7 +46,17 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Configure multer for file uploads
-const storage = multer.memoryStorage();
+// Uploads are spooled to TEMP_DIR so large drops never sit in memory
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(TEMP_DIR, { recursive: true })
+      .then(() => cb(null, TEMP_DIR))
+      .catch(cb);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
 const upload = multer({ 
   storage,
   limits: {
@@ -69,15 +108,79 @@ const createJobQueue = (rarityTiers, totalSupply) => {
   return jobQueue;
 };
 
-const shuffleArray = (array) => {
+// Counter-mode SHA-256 PRNG: draw n is taken from sha256(`${seed}:${n}`), so anyone
+// holding the seed can replay the shuffle with standard tooling
+const createSeededRandom = (seed) => {
+  let counter = 0;
+  return () => {
+    const digest = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+  };
+};
+
+const generateShuffleSeed = () => crypto.randomBytes(32).toString('hex');
+
+const shuffleArray = (array, random = Math.random) => {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 };
 
+// Pinned tokens (hand-placed 1/1s) keep their index; everything else is shuffled around them
+const shuffleQueue = (queue, random) => {
+  const shuffled = shuffleArray(queue.filter(queuedJob => !queuedJob.pinned), random);
+  return queue.map(queuedJob => (queuedJob.pinned ? queuedJob : shuffled.shift()));
+};
+
+const removeUploadedFiles = async (files = []) => {
+  await Promise.all(files.map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+// Resolves once archiver has consumed the entry, so only one NFT is buffered at a time
+const appendToArchive = (archive, source, data) => new Promise((resolve, reject) => {
+  const onEntry = () => {
+    archive.off('error', onError);
+    resolve();
+  };
+  const onError = (error) => {
+    archive.off('entry', onEntry);
+    reject(error);
+  };
+
+  archive.once('entry', onEntry);
+  archive.once('error', onError);
+  archive.append(source, data);
+});
+
+const toPngBuffer = async (sourcePath, label) => {
+  try {
+    // Convert to PNG if needed
+    return await sharp(sourcePath)
+      .png()
+      .toBuffer();
+  } catch (error) {
+    console.warn(`Image processing failed for ${label}:`, error.message);
+    return fs.readFile(sourcePath);
+  }
+};
+
+// Layers are stacked bottom-up in the order given; the first layer sets the canvas size
+const compositeTraitLayers = async (layerImages) => {
+  const [base, ...overlays] = layerImages;
+  return sharp(base.path)
+    .composite(overlays.map(image => ({ input: image.path })))
+    .png()
+    .toBuffer();
+};
+
+// Layered tokens are composited from their traits; everything else is a converted upload
+const renderToken = (queuedJob, label) => (queuedJob.layers ?
+  compositeTraitLayers(queuedJob.layers) :
+  toPngBuffer(queuedJob.sourceImage.path, label));
+
 const calculateSHA256 = (buffer) => {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 };
@@ -98,46 +201,41 @@ const extractDominantColors = async (imageBuffer) => {
   }
 };
 
-const generateMetadata = (job, collectionData, paddedIndex, options) => {
-  const metadata = {
-    name: `${collectionData.projectName} #${paddedIndex}`,
-    symbol: collectionData.symbol,
-    description: collectionData.description,
-    seller_fee_basis_points: Math.round(collectionData.royaltyFee * 100),
-    image: `ipfs://<CID>/${paddedIndex}.png`,
-    external_url: collectionData.externalUrl || '',
-    properties: {
-      files: [
-        {
-          uri: `${paddedIndex}.png`,
-          type: 'image/png'
-        }
-      ],
-      category: 'image',
-      creators: [
-        {
-          address: collectionData.creatorWallet,
-          share: collectionData.creatorShare || 100
-        }
-      ]
+// Attributes that describe the artwork itself; edition numbers and constant collection fields carry no rarity signal
+const getRarityTraits = (queuedJob) => queuedJob.traits || [
+  {
+    trait_type: 'rarity_tier',
+    value: queuedJob.rarityTier
+  },
+  {
+    trait_type: 'art_id',
+    value: queuedJob.artId
+  }
+];
+
+const getSellerFeeBasisPoints = (collectionData) => Math.round(collectionData.royaltyFee || 0);
+
+const generateMetadata = (job, collectionData, tokenName, options) => {
+  const attributes = [
+    {
+      trait_type: 'collection_number',
+      value: collectionData.collectionNumber
     },
-    collection: {
-      name: collectionData.projectName,
-      family: collectionData.symbol
+    {
+      trait_type: 'season',
+      value: collectionData.season
     },
-    attributes: [
-      {
-        trait_type: 'collection_number',
-        value: collectionData.collectionNumber
-      },
-      {
-        trait_type: 'season',
-        value: collectionData.season
-      },
-      {
-        trait_type: 'series_slug',
-        value: collectionData.seriesSlug
-      },
+    {
+      trait_type: 'series_slug',
+      value: collectionData.seriesSlug
+    }
+  ];
+  
+  if (job.traits) {
+    // Layered tokens describe themselves through the traits they were composited from
+    attributes.push(...job.traits);
+  } else {
+    attributes.push(
       {
         trait_type: 'rarity_tier',
         value: job.rarityTier
@@ -154,12 +252,12 @@ const generateMetadata = (job, collectionData, paddedIndex, options) => {
         trait_type: 'art_id',
         value: job.artId
       }
-    ]
-  };
+    );
+  }
   
   // Add optional color attributes
   if (options.colorPalette) {
-    metadata.attributes.push(
+    attributes.push(
       {
         trait_type: 'palette_primary',
         value: options.colorPalette.palette_primary
@@ -171,110 +269,494 @@ const generateMetadata = (job, collectionData, paddedIndex, options) => {
     );
   }
   
+  if (options.rarityRank) {
+    attributes.push({
+      trait_type: 'rarity_rank',
+      value: options.rarityRank
+    });
+  }
+  
+  const extraProperties = {};
+  
   // Add optional SHA256 hash
   if (options.sha256Hash) {
-    metadata.properties.sha256_hash = options.sha256Hash;
+    extraProperties.sha256_hash = options.sha256Hash;
   }
   
-  return metadata;
+  return options.profile.buildMetadata({
+    name: `${collectionData.projectName} #${tokenName}`,
+    symbol: collectionData.symbol,
+    description: collectionData.description,
+    image: options.imageUri || `ipfs://<CID>/${tokenName}.png`,
+    externalUrl: collectionData.externalUrl,
+    attributes,
+    files: [
+      {
+        uri: `${tokenName}.png`,
+        type: 'image/png'
+      }
+    ],
+    category: 'image',
+    sellerFeeBasisPoints: getSellerFeeBasisPoints(collectionData),
+    creators: collectionData.creators,
+    collection: {
+      name: collectionData.projectName,
+      family: collectionData.symbol
+    },
+    extraProperties
+  });
+};
+
+// Generation jobs
+// Jobs live in memory and run one at a time; finished archives are streamed to OUTPUT_DIR
+const generationJobs = new Map();
+let workerChain = Promise.resolve();
+
+const serializeGenerationJob = (job) => ({
+  id: job.id,
+  status: job.status,
+  phase: job.phase,
+  processed: job.processed,
+  total: job.total,
+  progress: job.total > 0 ? Math.round((job.processed / job.total) * 100) : 0,
+  error: job.error,
+  shuffleSeed: job.shuffleSeed,
+  provenanceHash: job.provenanceHash,
+  duplicates: job.duplicates,
+  duplicateReportUrl: job.duplicateReport ? `/api/generate/${job.id}/duplicates` : null,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt,
+  downloadUrl: job.status === 'completed' ? `/api/generate/${job.id}/download` : null
+});
+
+const updateGenerationJob = (job, updates) => {
+  Object.assign(job, updates, { updatedAt: new Date().toISOString() });
+};
+
+const scheduleGenerationJobCleanup = (job) => {
+  setTimeout(async () => {
+    generationJobs.delete(job.id);
+    if (job.filePath) {
+      await fs.unlink(job.filePath).catch(() => {});
+    }
+  }, JOB_RETENTION_MS).unref();
+};
+
+// Provenance hash: sha256 of the per-token image hashes (hex) concatenated in original order
+const generateProvenance = (finalQueue, imageHashes, shuffleSeed, collectionData) => {
+  const tokenByOriginalIndex = [];
+  finalQueue.forEach((queuedJob, index) => {
+    tokenByOriginalIndex[queuedJob.globalIndex] = index;
+  });
+
+  const originalOrder = [...finalQueue].sort((a, b) => a.globalIndex - b.globalIndex);
+
+  return {
+    collection: {
+      name: collectionData.projectName,
+      symbol: collectionData.symbol
+    },
+    total_supply: finalQueue.length,
+    hash_algorithm: 'sha256',
+    provenance_hash: calculateSHA256(imageHashes.join('')),
+    provenance_rule: 'sha256 of the image_hash values (lowercase hex) concatenated in original_index order',
+    shuffle: shuffleSeed ? {
+      algorithm: 'fisher-yates',
+      prng: 'sha256-counter',
+      seed: shuffleSeed,
+      description: 'Draw n is the first 6 bytes of sha256("<seed>:<n>") divided by 2^48; for i from last to 1, swap i with floor(draw * (i + 1)). Pinned indices are left out of the shuffle and keep their token.',
+      pinned_indices: finalQueue.filter(queuedJob => queuedJob.pinned).map(queuedJob => queuedJob.globalIndex)
+    } : null,
+    original_order: originalOrder.map(queuedJob => ({
+      original_index: queuedJob.globalIndex,
+      art_id: queuedJob.artId,
+      rarity_tier: queuedJob.rarityTier,
+      edition_number: queuedJob.editionNumber,
+      ...(queuedJob.traits && { traits: queuedJob.traits }),
+      image_hash: imageHashes[queuedJob.globalIndex],
+      token: tokenByOriginalIndex[queuedJob.globalIndex]
+    })),
+    token_mapping: finalQueue.map((queuedJob, index) => ({
+      token: index,
+      original_index: queuedJob.globalIndex
+    }))
+  };
+};
+
+// Fingerprints every distinct artwork before anything is written.
+// Editions of the same uploaded image are meant to match, so each upload is checked once.
+const checkGenerationDuplicates = async (job, finalQueue, threshold) => {
+  const tokenByOriginalIndex = [];
+  finalQueue.forEach((queuedJob, index) => {
+    tokenByOriginalIndex[queuedJob.globalIndex] = index;
+  });
+
+  const artworks = new Map();
+  for (const queuedJob of [...finalQueue].sort((a, b) => a.globalIndex - b.globalIndex)) {
+    const key = queuedJob.layers ? `token:${queuedJob.globalIndex}` : queuedJob.sourceImage.path;
+    if (!artworks.has(key)) {
+      artworks.set(key, queuedJob);
+    }
+  }
+
+  updateGenerationJob(job, { phase: 'checking_duplicates', processed: 0, total: artworks.size });
+
+  const items = [];
+  for (const queuedJob of artworks.values()) {
+    const imageBuffer = await renderToken(queuedJob, queuedJob.artId);
+    const fingerprint = await fingerprintImage(imageBuffer);
+
+    items.push({
+      ...fingerprint,
+      traitKey: queuedJob.layers ? JSON.stringify(queuedJob.traits) : null,
+      ref: {
+        original_index: queuedJob.globalIndex,
+        token: tokenByOriginalIndex[queuedJob.globalIndex],
+        art_id: queuedJob.artId,
+        ...(queuedJob.traits && { traits: queuedJob.traits })
+      }
+    });
+    updateGenerationJob(job, { processed: items.length });
+  }
+
+  return findDuplicates(items, { threshold });
+};
+
+const processGenerationJob = async (job, payload) => {
+  const {
+    collectionData,
+    finalQueue,
+    totalSupply,
+    advancedOptions,
+    shuffleSeed,
+    exportFormat,
+    metadataProfile,
+    collectionImage
+  } = payload;
+
+  updateGenerationJob(job, { status: 'processing' });
+
+  // Report duplicates before export, and stop here when they are set to block it
+  let duplicateReport = null;
+  if (advancedOptions.duplicateCheck !== 'off') {
+    duplicateReport = await checkGenerationDuplicates(job, finalQueue, job.duplicateThreshold);
+    const duplicates = summarizeDuplicates(duplicateReport);
+    updateGenerationJob(job, { duplicateReport, duplicates });
+
+    if (advancedOptions.duplicateCheck === 'block' && duplicates.total > 0) {
+      throw new Error(`Duplicate check failed: ${duplicates.exact} exact duplicates, ${duplicates.traitSets} repeated trait sets and ${duplicates.near} near duplicates`);
+    }
+  }
+
+  updateGenerationJob(job, { phase: 'processing_images', processed: 0, total: totalSupply });
+
+  // Rarity only depends on the planned attributes, so ranks are known before any token is written
+  const rarity = advancedOptions.calculateRarity || advancedOptions.includeRarityRank ?
+    computeRarity(finalQueue.map((queuedJob, index) => ({
+      token: index,
+      name: `${collectionData.projectName} #${exportFormat.tokenName(index)}`,
+      attributes: getRarityTraits(queuedJob)
+    }))) :
+    null;
+
+  // Per-token image hashes indexed by original (pre-shuffle) position
+  const imageHashes = new Array(totalSupply);
+  let firstImageBuffer = null;
+
+  // Stream the ZIP file straight to disk as each NFT is produced
+  const filePath = path.join(OUTPUT_DIR, `${job.id}.zip`);
+  await fs.mkdir(OUTPUT_DIR, { recursive: true });
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  // A write failure (ENOSPC, EACCES) is recorded as soon as it happens and stops the loop below
+  let writeError = null;
+  const written = pipeline(archive, createWriteStream(filePath)).catch((error) => {
+    writeError = error;
+  });
+
+  try {
+    // Process each NFT
+    for (let i = 0; i < totalSupply; i++) {
+      if (writeError) {
+        throw writeError;
+      }
+
+      const tokenName = exportFormat.tokenName(i);
+      const queuedJob = finalQueue[i];
+
+      // Process image
+      const processedImageBuffer = await renderToken(queuedJob, tokenName);
+
+      if (i === 0) {
+        firstImageBuffer = processedImageBuffer;
+      }
+
+      const imageHash = calculateSHA256(processedImageBuffer);
+      imageHashes[queuedJob.globalIndex] = imageHash;
+
+      // Optional calculations
+      const options = {};
+
+      if (advancedOptions.calculateColorPalette) {
+        options.colorPalette = await extractDominantColors(processedImageBuffer);
+      }
+
+      if (advancedOptions.calculateSHA256) {
+        options.sha256Hash = imageHash;
+      }
+
+      if (advancedOptions.includeRarityRank) {
+        options.rarityRank = rarity.tokens[i].rank;
+      }
+
+      options.imageUri = exportFormat.imageUri(tokenName);
+      options.profile = metadataProfile;
+
+      // Generate metadata
+      const metadata = generateMetadata(queuedJob, collectionData, tokenName, options);
+
+      // Add files to ZIP (PNGs are already compressed)
+      await appendToArchive(archive, processedImageBuffer, { name: exportFormat.imageEntry(tokenName), store: true });
+      await appendToArchive(archive, JSON.stringify(metadata, null, 2), { name: exportFormat.jsonEntry(tokenName) });
+
+      updateGenerationJob(job, { processed: i + 1 });
+
+      // Progress logging
+      if ((i + 1) % 100 === 0 || i === totalSupply - 1) {
+        console.log(`[${job.id}] Processed ${i + 1}/${totalSupply} NFTs`);
+      }
+    }
+
+    updateGenerationJob(job, { phase: 'packaging' });
+
+    // Sugar needs the collection NFT pair next to the assets plus a config.json
+    if (exportFormat.id === 'sugar') {
+      const collectionImageBuffer = collectionImage ?
+        await toPngBuffer(collectionImage.path, 'collection') :
+        firstImageBuffer;
+
+      await appendToArchive(archive, collectionImageBuffer, { name: exportFormat.collectionImageEntry, store: true });
+      const collectionMetadata = generateSugarCollectionMetadata(collectionData, metadataProfile);
+      await appendToArchive(archive, JSON.stringify(collectionMetadata, null, 2), { name: exportFormat.collectionJsonEntry });
+      await appendToArchive(archive, JSON.stringify(generateSugarConfig(collectionData, totalSupply), null, 2), { name: exportFormat.configEntry });
+    }
+
+    // Profiles that keep royalties on-chain get them written alongside the assets
+    if (metadataProfile.buildOnChainConfig) {
+      const onChainConfig = metadataProfile.buildOnChainConfig({
+        symbol: collectionData.symbol,
+        sellerFeeBasisPoints: getSellerFeeBasisPoints(collectionData),
+        creators: collectionData.creators
+      });
+      await appendToArchive(archive, JSON.stringify(onChainConfig, null, 2), { name: 'onchain-config.json' });
+    }
+
+    if (rarity) {
+      await appendToArchive(archive, JSON.stringify(rarity, null, 2), { name: 'rarity.json' });
+      await appendToArchive(archive, rarityToCsv(rarity), { name: 'rarity.csv' });
+    }
+
+    if (duplicateReport) {
+      await appendToArchive(archive, JSON.stringify(duplicateReport, null, 2), { name: 'duplicates.json' });
+    }
+
+    // Tie every token hash and the output order together
+    const provenance = generateProvenance(finalQueue, imageHashes, shuffleSeed, collectionData);
+    await appendToArchive(archive, JSON.stringify(provenance, null, 2), { name: 'provenance.json' });
+    updateGenerationJob(job, { provenanceHash: provenance.provenance_hash });
+
+    await archive.finalize();
+    await written;
+    if (writeError) {
+      throw writeError;
+    }
+  } catch (error) {
+    archive.abort();
+    await written;
+    await fs.unlink(filePath).catch(() => {});
+    throw error;
+  }
+
+  updateGenerationJob(job, { status: 'completed', phase: 'completed', filePath });
+  console.log(`[${job.id}] Generation completed: ${job.filename} (${archive.pointer()} bytes)`);
+};
+
+const enqueueGenerationJob = (job, payload, uploadedFiles) => {
+  workerChain = workerChain
+    .then(() => processGenerationJob(job, payload))
+    .catch((error) => {
+      console.error(`[${job.id}] Generation error:`, error);
+      updateGenerationJob(job, { status: 'failed', phase: 'failed', error: error.message });
+    })
+    .finally(async () => {
+      await removeUploadedFiles(uploadedFiles);
+      scheduleGenerationJobCleanup(job);
+    });
 };
 
 // Main API endpoint
-app.post('/api/generate', upload.array('images'), async (req, res) => {
+app.post('/api/generate', upload.any(), async (req, res) => {
+  let queued = false;
+  
   try {
-    const { collectionData, rarityTiers, totalSupply, advancedOptions } = JSON.parse(req.body.data);
+    const {
+      collectionData,
+      mode = 'tiers',
+      rarityTiers = [],
+      traitLayers = [],
+      traitRules,
+      oneOfOnes = [],
+      totalSupply,
+      advancedOptions
+    } = JSON.parse(req.body.data);
     const uploadedFiles = req.files;
     
+    // Validate input
+    if (!uploadedFiles || uploadedFiles.length === 0) {
+      return res.status(400).json({ error: 'No images uploaded' });
+    }
+    
     console.log('Generation request received:', {
       projectName: collectionData.projectName,
       totalSupply,
+      mode,
       tiersCount: rarityTiers.length,
+      layersCount: traitLayers.length,
       filesCount: uploadedFiles.length
     });
     
-    // Validate input
-    if (!uploadedFiles || uploadedFiles.length === 0) {
-      return res.status(400).json({ error: 'No images uploaded' });
+    // Validate royalty split
+    const creators = normalizeCreators(collectionData);
+    const creatorsError = validateCreators(creators);
+    if (creatorsError) {
+      return res.status(400).json({ error: creatorsError });
     }
+    collectionData.creators = creators;
     
-    // Map uploaded files to rarity tiers
-    const processedTiers = rarityTiers.map(tier => ({
-      ...tier,
-      images: uploadedFiles.filter(file => 
-        file.fieldname.startsWith(`tier_${rarityTiers.indexOf(tier)}_`)
-      )
-    }));
-    
-    // Create job queue
-    const jobQueue = createJobQueue(processedTiers, totalSupply);
-    
-    if (jobQueue.length !== totalSupply) {
-      return res.status(400).json({ 
-        error: `Job queue length (${jobQueue.length}) doesn't match total supply (${totalSupply})` 
-      });
+    const exportFormat = getExportFormat(advancedOptions.exportFormat);
+    if (!exportFormat) {
+      return res.status(400).json({ error: `Unknown export format "${advancedOptions.exportFormat}"` });
     }
     
-    // Randomize if requested
-    const finalQueue = advancedOptions.randomizeOrder ? shuffleArray(jobQueue) : jobQueue;
-    
-    // Create ZIP file
-    const zip = new JSZip();
-    const imagesFolder = zip.folder('images');
-    const jsonFolder = zip.folder('json');
+    const metadataProfile = getMetadataProfile(advancedOptions.metadataProfile);
+    if (!metadataProfile) {
+      return res.status(400).json({ error: `Unknown metadata profile "${advancedOptions.metadataProfile}"` });
+    }
     
-    // Process each NFT
-    for (let i = 0; i < totalSupply; i++) {
-      const paddedIndex = String(i).padStart(5, '0');
-      const job = finalQueue[i];
-      const imageBuffer = job.sourceImage.buffer;
+    let jobQueue;
+    if (mode === 'layers') {
+      // Composite every token from weighted trait layers
+      const layers = attachLayerImages(traitLayers, uploadedFiles);
+      const layersError = validateTraitLayers(layers);
+      if (layersError) {
+        return res.status(400).json({ error: layersError });
+      }
       
-      // Process image
-      let processedImageBuffer = imageBuffer;
+      let rules;
       try {
-        // Convert to PNG if needed
-        processedImageBuffer = await sharp(imageBuffer)
-          .png()
-          .toBuffer();
+        rules = parseTraitRules(traitRules);
       } catch (error) {
-        console.warn(`Image processing failed for ${paddedIndex}:`, error.message);
+        return res.status(400).json({ error: error.message });
       }
       
-      // Optional calculations
-      const options = {};
-      
-      if (advancedOptions.calculateColorPalette) {
-        options.colorPalette = await extractDominantColors(processedImageBuffer);
+      const specialTokens = attachOneOfOneImages(oneOfOnes, uploadedFiles);
+      const rulesError = validateTraitRules(rules, layers) ||
+        validateLayeredSupply(layers, rules, specialTokens, totalSupply);
+      if (rulesError) {
+        return res.status(400).json({ error: rulesError });
       }
       
-      if (advancedOptions.calculateSHA256) {
-        options.sha256Hash = calculateSHA256(processedImageBuffer);
+      try {
+        jobQueue = createTraitJobQueue(layers, totalSupply, { rules, oneOfOnes: specialTokens });
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
       }
+    } else if (mode === 'tiers') {
+      // Map uploaded files to rarity tiers
+      const processedTiers = rarityTiers.map(tier => ({
+        ...tier,
+        images: uploadedFiles.filter(file => 
+          file.fieldname.startsWith(`tier_${rarityTiers.indexOf(tier)}_`)
+        )
+      }));
       
-      // Generate metadata
-      const metadata = generateMetadata(job, collectionData, paddedIndex, options);
-      
-      // Add files to ZIP
-      imagesFolder.file(`${paddedIndex}.png`, processedImageBuffer);
-      jsonFolder.file(`${paddedIndex}.json`, JSON.stringify(metadata, null, 2));
+      jobQueue = createJobQueue(processedTiers, totalSupply);
+    } else {
+      return res.status(400).json({ error: `Unknown generation mode "${mode}"` });
+    }
+    
+    if (jobQueue.length !== totalSupply) {
+      return res.status(400).json({ 
+        error: `Job queue length (${jobQueue.length}) doesn't match total supply (${totalSupply})` 
+      });
+    }
+    
+    const duplicateCheck = advancedOptions.duplicateCheck || 'off';
+    if (!DUPLICATE_CHECK_MODES.includes(duplicateCheck)) {
+      return res.status(400).json({ error: `Unknown duplicate check mode "${duplicateCheck}"` });
+    }
+    advancedOptions.duplicateCheck = duplicateCheck;
+    
+    const duplicateThreshold = advancedOptions.duplicateThreshold === undefined ?
+      DEFAULT_NEAR_DUPLICATE_THRESHOLD :
+      Number(advancedOptions.duplicateThreshold);
+    if (!Number.isInteger(duplicateThreshold) || duplicateThreshold < 0 || duplicateThreshold > 64) {
+      return res.status(400).json({ error: 'Duplicate threshold must be a whole number between 0 and 64' });
+    }
+    
+    // Randomize if requested, using the caller's seed (e.g. a future blockhash) when given
+    let shuffleSeed = null;
+    if (advancedOptions.randomizeOrder) {
+      shuffleSeed = String(advancedOptions.shuffleSeed || '').trim() || generateShuffleSeed();
       
-      // Progress logging
-      if ((i + 1) % 100 === 0 || i === totalSupply - 1) {
-        console.log(`Processed ${i + 1}/${totalSupply} NFTs`);
+      if (shuffleSeed.length > 256) {
+        return res.status(400).json({ error: 'Shuffle seed must be 256 characters or less' });
       }
     }
     
-    // Generate ZIP buffer
-    const zipBuffer = await zip.generateAsync({ type: 'nodebuffer' });
+    const finalQueue = shuffleSeed ? shuffleQueue(jobQueue, createSeededRandom(shuffleSeed)) : jobQueue;
     
-    // Send response
-    const filename = `${collectionData.projectName.replace(/[^a-zA-Z0-9]/g, '_')}_collection.zip`;
+    // Register the job and hand it to the worker
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      status: 'queued',
+      phase: 'queued',
+      processed: 0,
+      total: totalSupply,
+      error: null,
+      filename: `${collectionData.projectName.replace(/[^a-zA-Z0-9]/g, '_')}_collection.zip`,
+      filePath: null,
+      shuffleSeed,
+      provenanceHash: null,
+      duplicateThreshold,
+      duplicates: null,
+      duplicateReport: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    generationJobs.set(job.id, job);
+    const collectionImage = uploadedFiles.find(file => file.fieldname === 'collection_image');
     
-    res.setHeader('Content-Type', 'application/zip');
-    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-    res.setHeader('Content-Length', zipBuffer.length);
+    enqueueGenerationJob(job, {
+      collectionData,
+      finalQueue,
+      totalSupply,
+      advancedOptions,
+      shuffleSeed,
+      exportFormat,
+      metadataProfile,
+      collectionImage
+    }, uploadedFiles);
+    queued = true;
     
-    console.log(`Generation completed: ${filename} (${zipBuffer.length} bytes)`);
-    res.send(zipBuffer);
+    res.status(202).json({
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/generate/${job.id}/status`,
+      downloadUrl: `/api/generate/${job.id}/download`
+    });
     
   } catch (error) {
     console.error('Generation error:', error);
@@ -282,7 +764,66 @@ app.post('/api/generate', upload.array('images'), async (req, res) => {
       error: 'Generation failed', 
       details: error.message 
     });
+  } finally {
+    // Spooled uploads belong to the worker once the job is queued
+    if (!queued) {
+      await removeUploadedFiles(req.files);
+    }
+  }
+});
+
+// Generation job status
+app.get('/api/generate/:id/status', (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Generation job not found' });
+  }
+  
+  res.json(serializeGenerationJob(job));
+});
+
+// Download finished archive
+app.get('/api/generate/:id/download', (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Generation job not found' });
+  }
+  
+  if (job.status !== 'completed') {
+    return res.status(409).json({ 
+      error: 'Generation not finished yet', 
+      status: job.status,
+      phase: job.phase
+    });
+  }
+  
+  res.download(job.filePath, job.filename);
+});
+
+// Duplicate report for a job
+app.get('/api/generate/:id/duplicates', (req, res) => {
+  const job = generationJobs.get(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Generation job not found' });
+  }
+  
+  if (!job.duplicateReport) {
+    return res.status(404).json({ 
+      error: 'No duplicate report for this job', 
+      status: job.status,
+      phase: job.phase
+    });
   }
+  
+  res.json(job.duplicateReport);
+});
+
+// Available metadata profiles
+app.get('/api/metadata-profiles', (req, res) => {
+  res.json({ profiles: listMetadataProfiles() });
 });
 
 // Health check endpoint
@@ -0,0 +1,117 @@
+/**
+ * Creator royalty split helpers.
+ * Metaplex allows up to 5 creators whose shares must add up to 100.
+ */
+
+const MAX_CREATORS = 5;
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+const decodeBase58 = (value) => {
+  const bytes = [];
+
+  for (const char of value) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry < 0) {
+      return null;
+    }
+
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  // Leading '1' characters encode leading zero bytes
+  for (const char of value) {
+    if (char !== '1') break;
+    bytes.push(0);
+  }
+
+  return bytes.reverse();
+};
+
+const isValidSolanaAddress = (address) => {
+  if (typeof address !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) {
+    return false;
+  }
+
+  const decoded = decodeBase58(address);
+  return !!decoded && decoded.length === 32;
+};
+
+/**
+ * Read the creators array from collection data, falling back to the
+ * single creatorWallet/creatorShare fields used by older clients
+ * @param {object} collectionData - Collection details from the request
+ * @returns {Array<{address: string, share: number}>} Creators
+ */
+const normalizeCreators = (collectionData) => {
+  if (Array.isArray(collectionData.creators)) {
+    return collectionData.creators.map(creator => ({
+      address: String(creator.address || '').trim(),
+      share: Number(creator.share)
+    }));
+  }
+
+  if (collectionData.creatorWallet) {
+    return [
+      {
+        address: String(collectionData.creatorWallet).trim(),
+        share: Number(collectionData.creatorShare) || 100
+      }
+    ];
+  }
+
+  return [];
+};
+
+/**
+ * Validate a creators array
+ * @param {Array<{address: string, share: number}>} creators - Creators to check
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateCreators = (creators) => {
+  if (creators.length === 0) {
+    return 'At least one creator is required';
+  }
+
+  if (creators.length > MAX_CREATORS) {
+    return `A maximum of ${MAX_CREATORS} creators is allowed`;
+  }
+
+  const seen = new Set();
+  for (const [index, creator] of creators.entries()) {
+    if (!isValidSolanaAddress(creator.address)) {
+      return `Creator ${index + 1} has an invalid Solana address`;
+    }
+
+    if (seen.has(creator.address)) {
+      return `Creator ${index + 1} is listed more than once`;
+    }
+    seen.add(creator.address);
+
+    if (!Number.isInteger(creator.share) || creator.share < 0 || creator.share > 100) {
+      return `Creator ${index + 1} share must be a whole number between 0 and 100`;
+    }
+  }
+
+  const totalShare = creators.reduce((sum, creator) => sum + creator.share, 0);
+  if (totalShare !== 100) {
+    return `Creator shares must add up to 100 (currently ${totalShare})`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  MAX_CREATORS,
+  isValidSolanaAddress,
+  normalizeCreators,
+  validateCreators
+};
@@ -0,0 +1,103 @@
+/**
+ * Export formats for the generated collection archive.
+ *
+ * - standard: images/00000.png + json/00000.json with ipfs://<CID>/ placeholders
+ * - sugar: flat assets/0.png + assets/0.json, a collection.png/collection.json pair
+ *   and a config.json, ready to be fed into Metaplex Sugar (Candy Machine v3)
+ */
+
+const standard = {
+  id: 'standard',
+  tokenName: (index) => String(index).padStart(5, '0'),
+  imageEntry: (name) => `images/${name}.png`,
+  jsonEntry: (name) => `json/${name}.json`,
+  imageUri: (name) => `ipfs://<CID>/${name}.png`
+};
+
+const sugar = {
+  id: 'sugar',
+  tokenName: (index) => String(index),
+  imageEntry: (name) => `assets/${name}.png`,
+  jsonEntry: (name) => `assets/${name}.json`,
+  imageUri: (name) => `${name}.png`,
+  collectionImageEntry: 'assets/collection.png',
+  collectionJsonEntry: 'assets/collection.json',
+  configEntry: 'config.json'
+};
+
+const EXPORT_FORMATS = { standard, sugar };
+
+const getExportFormat = (id = 'standard') => EXPORT_FORMATS[id] || null;
+
+/**
+ * Collection NFT metadata for assets/collection.json, shaped by the metadata profile
+ * @param {object} collectionData - Collection details from the request
+ * @param {object} profile - Metadata profile (see metadataProfiles)
+ * @returns {object} Collection metadata
+ */
+const generateSugarCollectionMetadata = (collectionData, profile) => profile.buildMetadata({
+  name: collectionData.projectName,
+  symbol: collectionData.symbol,
+  description: collectionData.description,
+  image: 'collection.png',
+  externalUrl: collectionData.externalUrl,
+  files: [
+    {
+      uri: 'collection.png',
+      type: 'image/png'
+    }
+  ],
+  category: 'image',
+  sellerFeeBasisPoints: Math.round(collectionData.royaltyFee || 0),
+  creators: collectionData.creators
+});
+
+/**
+ * Sugar config.json derived from the collection details
+ * Guards are a starting skeleton: adjust dates, limits and payment before deploying
+ * @param {object} collectionData - Collection details from the request
+ * @param {number} totalSupply - Number of items in the Candy Machine
+ * @returns {object} Sugar configuration
+ */
+const generateSugarConfig = (collectionData, totalSupply) => {
+  const price = parseFloat(collectionData.mintPrice) || 0;
+  const defaultGuards = {
+    botTax: {
+      value: 0.01,
+      lastInstruction: true
+    }
+  };
+
+  if (price > 0) {
+    defaultGuards.solPayment = {
+      value: price,
+      destination: collectionData.creators[0].address
+    };
+  }
+
+  return {
+    number: totalSupply,
+    symbol: collectionData.symbol,
+    sellerFeeBasisPoints: Math.round(collectionData.royaltyFee || 0),
+    isMutable: true,
+    isSequential: false,
+    ruleSet: null,
+    creators: collectionData.creators,
+    uploadMethod: 'bundlr',
+    awsConfig: null,
+    sdriveApiKey: null,
+    pinataConfig: null,
+    hiddenSettings: null,
+    guards: {
+      default: defaultGuards
+    },
+    maxEditionSupply: null
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  getExportFormat,
+  generateSugarCollectionMetadata,
+  generateSugarConfig
+};
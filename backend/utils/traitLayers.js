@@ -0,0 +1,312 @@
+/**
+ * Layered (PFP-style) generation helpers.
+ * Each trait is one transparent PNG; every token picks one trait per layer by weight
+ * and the layers are stacked bottom-up in the order they are listed.
+ */
+
+const { parseTraitRules, isTraitAllowed } = require('./traitRules');
+
+// Draws per token before giving up on finding an unused combination
+const MAX_UNIQUE_ATTEMPTS = 1000;
+
+/**
+ * Attach uploaded layer files to their traits.
+ * Files are sent as `layer_<layerIndex>_trait_<traitIndex>`.
+ * @param {Array<{name: string, traits: Array<{name: string, weight: number}>}>} traitLayers - Layers from the request
+ * @param {Array<object>} uploadedFiles - Multer files
+ * @returns {Array<object>} Layers with an `image` on every trait
+ */
+const attachLayerImages = (traitLayers, uploadedFiles) => traitLayers.map((layer, layerIndex) => ({
+  name: String(layer.name || '').trim(),
+  traits: (layer.traits || []).map((trait, traitIndex) => ({
+    name: String(trait.name || '').trim(),
+    weight: Number(trait.weight),
+    image: uploadedFiles.find(file => file.fieldname === `layer_${layerIndex}_trait_${traitIndex}`)
+  }))
+}));
+
+/**
+ * Validate trait layers
+ * @param {Array<object>} traitLayers - Layers with images attached
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTraitLayers = (traitLayers) => {
+  if (!Array.isArray(traitLayers) || traitLayers.length === 0) {
+    return 'At least one trait layer is required';
+  }
+
+  const layerNames = new Set();
+  for (const [layerIndex, layer] of traitLayers.entries()) {
+    if (!layer.name) {
+      return `Layer ${layerIndex + 1} needs a name`;
+    }
+
+    if (layerNames.has(layer.name)) {
+      return `Layer "${layer.name}" is listed more than once`;
+    }
+    layerNames.add(layer.name);
+
+    if (layer.traits.length === 0) {
+      return `Layer "${layer.name}" has no traits`;
+    }
+
+    const traitNames = new Set();
+    for (const [traitIndex, trait] of layer.traits.entries()) {
+      if (!trait.name) {
+        return `Trait ${traitIndex + 1} in layer "${layer.name}" needs a name`;
+      }
+
+      if (traitNames.has(trait.name)) {
+        return `Trait "${trait.name}" is listed more than once in layer "${layer.name}"`;
+      }
+      traitNames.add(trait.name);
+
+      if (!Number.isFinite(trait.weight) || trait.weight <= 0) {
+        return `Trait "${trait.name}" in layer "${layer.name}" needs a weight greater than 0`;
+      }
+
+      if (!trait.image) {
+        return `Trait "${trait.name}" in layer "${layer.name}" has no image`;
+      }
+    }
+  }
+
+  return null;
+};
+
+const pickWeighted = (traits, random) => {
+  const totalWeight = traits.reduce((sum, trait) => sum + trait.weight, 0);
+  let roll = random() * totalWeight;
+
+  for (const trait of traits) {
+    roll -= trait.weight;
+    if (roll < 0) {
+      return trait;
+    }
+  }
+
+  return traits[traits.length - 1];
+};
+
+const combinationKey = (traitNames) => traitNames.join('\u0000');
+
+// Picks one trait per layer by weight, backtracking when the rules leave a layer with no option
+// or, when `excluded` is given, when the finished combination is one of its keys
+const pickTraits = (traitLayers, rules, random, excluded = null, chosen = new Map(), depth = 0) => {
+  if (depth === traitLayers.length) {
+    const key = combinationKey(traitLayers.map(layer => chosen.get(layer.name)));
+    return excluded && excluded.has(key) ? null : [];
+  }
+
+  const layer = traitLayers[depth];
+  let candidates = layer.traits.filter(trait => isTraitAllowed(rules, chosen, layer.name, trait.name));
+
+  while (candidates.length > 0) {
+    const trait = pickWeighted(candidates, random);
+    chosen.set(layer.name, trait.name);
+
+    const rest = pickTraits(traitLayers, rules, random, excluded, chosen, depth + 1);
+    if (rest) {
+      return [{ layer: layer.name, trait }, ...rest];
+    }
+
+    chosen.delete(layer.name);
+    candidates = candidates.filter(candidate => candidate !== trait);
+  }
+
+  return null;
+};
+
+// Counts valid combinations, stopping as soon as `limit` is reached
+const countTraitCombinations = (traitLayers, rules, limit, chosen = new Map(), depth = 0) => {
+  if (depth === traitLayers.length) {
+    return 1;
+  }
+
+  const layer = traitLayers[depth];
+  let count = 0;
+
+  for (const trait of layer.traits) {
+    if (count >= limit) break;
+    if (!isTraitAllowed(rules, chosen, layer.name, trait.name)) continue;
+
+    chosen.set(layer.name, trait.name);
+    count += countTraitCombinations(traitLayers, rules, limit - count, chosen, depth + 1);
+    chosen.delete(layer.name);
+  }
+
+  return count;
+};
+
+/**
+ * Attach uploaded images to hand-placed 1/1 tokens.
+ * Files are sent as `one_of_one_<index>`.
+ * @param {Array<{name: string, index?: number}>} oneOfOnes - 1/1 tokens from the request
+ * @param {Array<object>} uploadedFiles - Multer files
+ * @returns {Array<object>} 1/1 tokens with an `image`
+ */
+const attachOneOfOneImages = (oneOfOnes, uploadedFiles) => oneOfOnes.map((oneOfOne, index) => ({
+  name: String(oneOfOne.name || '').trim(),
+  index: oneOfOne.index === undefined || oneOfOne.index === null || oneOfOne.index === '' ?
+    null :
+    Number(oneOfOne.index),
+  image: uploadedFiles.find(file => file.fieldname === `one_of_one_${index}`)
+}));
+
+/**
+ * Check that the requested supply can be built from the layers, rules and 1/1 tokens
+ * @param {Array<object>} traitLayers - Validated layers with images attached
+ * @param {object} rules - Parsed and validated trait rules
+ * @param {Array<object>} oneOfOnes - 1/1 tokens with images attached
+ * @param {number} totalSupply - Number of tokens to generate
+ * @returns {string|null} Error message, or null when the supply is possible
+ */
+const validateLayeredSupply = (traitLayers, rules, oneOfOnes, totalSupply) => {
+  if (oneOfOnes.length > totalSupply) {
+    return `${oneOfOnes.length} hand-placed 1/1 tokens do not fit in a supply of ${totalSupply}`;
+  }
+
+  const indices = new Set();
+  for (const [position, oneOfOne] of oneOfOnes.entries()) {
+    if (!oneOfOne.name) {
+      return `1/1 token ${position + 1} needs a name`;
+    }
+
+    if (!oneOfOne.image) {
+      return `1/1 token "${oneOfOne.name}" has no image`;
+    }
+
+    if (oneOfOne.index === null) continue;
+
+    if (!Number.isInteger(oneOfOne.index) || oneOfOne.index < 0 || oneOfOne.index >= totalSupply) {
+      return `1/1 token "${oneOfOne.name}" must be placed at an index between 0 and ${totalSupply - 1}`;
+    }
+
+    if (indices.has(oneOfOne.index)) {
+      return `More than one 1/1 token is placed at index ${oneOfOne.index}`;
+    }
+    indices.add(oneOfOne.index);
+  }
+
+  const generatedCount = totalSupply - oneOfOnes.length;
+  if (generatedCount === 0) {
+    return null;
+  }
+
+  const needed = rules.unique ? generatedCount : 1;
+  const available = countTraitCombinations(traitLayers, rules, needed);
+
+  if (available === 0) {
+    return 'The trait rules rule out every combination of traits';
+  }
+
+  if (available < needed) {
+    return `The trait rules only allow ${available} unique combinations, but ${generatedCount} generated tokens are needed`;
+  }
+
+  return null;
+};
+
+/**
+ * Build the job queue for layered generation, enforcing the trait rules
+ * and inserting hand-placed 1/1 tokens
+ * @param {Array<object>} traitLayers - Validated layers with images attached
+ * @param {number} totalSupply - Number of tokens to generate
+ * @param {object} [options]
+ * @param {object} [options.rules] - Parsed trait rules
+ * @param {Array<object>} [options.oneOfOnes] - 1/1 tokens with images attached
+ * @param {Function} [options.random] - Source of randomness in [0, 1)
+ * @returns {Array<object>} Jobs in the same shape as createJobQueue, plus `layers` and `traits`
+ */
+const createTraitJobQueue = (traitLayers, totalSupply, options = {}) => {
+  const {
+    rules = parseTraitRules(),
+    oneOfOnes = [],
+    random = Math.random
+  } = options;
+  const generatedCount = totalSupply - oneOfOnes.length;
+  const usedCombinations = new Set();
+  const generated = [];
+
+  while (generated.length < generatedCount) {
+    let picks = null;
+
+    for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS && !picks; attempt++) {
+      const candidate = pickTraits(traitLayers, rules, random);
+      if (!candidate) {
+        throw new Error('The trait rules rule out every combination of traits');
+      }
+
+      const key = combinationKey(candidate.map(pick => pick.trait.name));
+      if (!rules.unique || !usedCombinations.has(key)) {
+        usedCombinations.add(key);
+        picks = candidate;
+      }
+    }
+
+    // Heavy weights keep redrawing used combinations; search the unused ones directly instead
+    if (!picks) {
+      picks = pickTraits(traitLayers, rules, random, usedCombinations);
+      if (!picks) {
+        throw new Error(`Could only generate ${generated.length} unique trait combinations out of ${generatedCount}; add traits or relax the rules`);
+      }
+      usedCombinations.add(combinationKey(picks.map(pick => pick.trait.name)));
+    }
+
+    generated.push({
+      layers: picks.map(pick => pick.trait.image),
+      traits: picks.map(pick => ({
+        trait_type: pick.layer,
+        value: pick.trait.name
+      })),
+      rarityTier: 'generative',
+      artId: `GEN-${generated.length + 1}`,
+      editionNumber: 1,
+      editionTotal: 1
+    });
+  }
+
+  // Pinned 1/1s take their index; the rest land on random free slots
+  const slots = new Array(totalSupply).fill(null);
+  const toJob = (oneOfOne, position) => ({
+    sourceImage: oneOfOne.image,
+    traits: [
+      {
+        trait_type: 'One of One',
+        value: oneOfOne.name
+      }
+    ],
+    rarityTier: '1/1',
+    artId: `1OF1-${position + 1}`,
+    editionNumber: 1,
+    editionTotal: 1,
+    pinned: oneOfOne.index !== null
+  });
+
+  oneOfOnes.forEach((oneOfOne, position) => {
+    if (oneOfOne.index !== null) {
+      slots[oneOfOne.index] = toJob(oneOfOne, position);
+    }
+  });
+
+  oneOfOnes.forEach((oneOfOne, position) => {
+    if (oneOfOne.index === null) {
+      const freeSlots = slots.reduce((free, slot, index) => (slot ? free : [...free, index]), []);
+      slots[freeSlots[Math.floor(random() * freeSlots.length)]] = toJob(oneOfOne, position);
+    }
+  });
+
+  let next = 0;
+  return slots.map((slot, index) => ({
+    ...(slot || generated[next++]),
+    globalIndex: index
+  }));
+};
+
+module.exports = {
+  attachLayerImages,
+  attachOneOfOneImages,
+  validateTraitLayers,
+  validateLayeredSupply,
+  createTraitJobQueue
+};
@@ -0,0 +1,153 @@
+/**
+ * Trait compatibility rules for layered generation.
+ *
+ * Rules can be sent as JSON:
+ *   {
+ *     "exclusions": [{ "trait": "Hat:Cap", "never": "Hair:Mohawk" }],
+ *     "requirements": [{ "trait": "Eyes:Laser", "requires": "Background:Space" }],
+ *     "unique": true
+ *   }
+ * or as a DSL with one rule per line ('#' starts a comment):
+ *   Hat:Cap never Hair:Mohawk
+ *   Eyes:Laser requires Background:Space
+ *   unique
+ *
+ * Traits are referenced as "<layer>:<trait>".
+ */
+
+const parseTraitRef = (ref) => {
+  const text = String(ref || '');
+  const separator = text.indexOf(':');
+  if (separator < 0) {
+    return null;
+  }
+
+  return {
+    layer: text.slice(0, separator).trim(),
+    trait: text.slice(separator + 1).trim()
+  };
+};
+
+const parseRulesDsl = (source) => {
+  const rules = { exclusions: [], requirements: [], unique: false };
+
+  source.split('\n').forEach((rawLine, lineIndex) => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) {
+      return;
+    }
+
+    if (line === 'unique') {
+      rules.unique = true;
+      return;
+    }
+
+    const match = line.match(/^(.+?)\s+(never|requires)\s+(.+)$/);
+    if (!match) {
+      throw new Error(`Rule line ${lineIndex + 1} is not understood: "${line}"`);
+    }
+
+    const [, trait, keyword, other] = match;
+    if (keyword === 'never') {
+      rules.exclusions.push({ trait, never: other });
+    } else {
+      rules.requirements.push({ trait, requires: other });
+    }
+  });
+
+  return rules;
+};
+
+/**
+ * Turn a rules DSL string or JSON object into resolved trait references
+ * @param {string|object} [source] - Rules from the request
+ * @returns {{exclusions: Array, requirements: Array, unique: boolean}} Parsed rules
+ */
+const parseTraitRules = (source) => {
+  if (!source) {
+    return { exclusions: [], requirements: [], unique: false };
+  }
+
+  const rules = typeof source === 'string' ? parseRulesDsl(source) : source;
+
+  return {
+    exclusions: (rules.exclusions || []).map(rule => ({
+      trait: parseTraitRef(rule.trait),
+      never: parseTraitRef(rule.never),
+      source: `${rule.trait} never ${rule.never}`
+    })),
+    requirements: (rules.requirements || []).map(rule => ({
+      trait: parseTraitRef(rule.trait),
+      requires: parseTraitRef(rule.requires),
+      source: `${rule.trait} requires ${rule.requires}`
+    })),
+    unique: !!rules.unique
+  };
+};
+
+const matchesRef = (ref, layer, trait) => ref.layer === layer && ref.trait === trait;
+
+/**
+ * Check whether a trait can join an incomplete selection
+ * @param {object} rules - Parsed rules
+ * @param {Map<string, string>} chosen - Trait already picked per layer
+ * @param {string} layer - Layer being picked
+ * @param {string} trait - Candidate trait
+ * @returns {boolean} True when no rule is broken so far
+ */
+const isTraitAllowed = (rules, chosen, layer, trait) => {
+  for (const { trait: a, never: b } of rules.exclusions) {
+    if (matchesRef(a, layer, trait) && chosen.get(b.layer) === b.trait) return false;
+    if (matchesRef(b, layer, trait) && chosen.get(a.layer) === a.trait) return false;
+  }
+
+  for (const { trait: dependent, requires } of rules.requirements) {
+    // The candidate needs a trait on a layer that is already decided
+    if (matchesRef(dependent, layer, trait) && chosen.has(requires.layer) && chosen.get(requires.layer) !== requires.trait) {
+      return false;
+    }
+
+    // An earlier pick needs something else on this layer
+    if (requires.layer === layer && chosen.get(dependent.layer) === dependent.trait && requires.trait !== trait) {
+      return false;
+    }
+  }
+
+  return true;
+};
+
+/**
+ * Validate parsed rules against the uploaded layers
+ * @param {object} rules - Parsed rules
+ * @param {Array<object>} traitLayers - Layers with traits
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateTraitRules = (rules, traitLayers) => {
+  const hasTrait = (ref) => !!ref && traitLayers.some(layer =>
+    layer.name === ref.layer && layer.traits.some(trait => trait.name === ref.trait)
+  );
+
+  for (const rule of rules.exclusions) {
+    if (!hasTrait(rule.trait) || !hasTrait(rule.never)) {
+      return `Rule "${rule.source}" refers to a trait that does not exist`;
+    }
+  }
+
+  for (const rule of rules.requirements) {
+    if (!hasTrait(rule.trait) || !hasTrait(rule.requires)) {
+      return `Rule "${rule.source}" refers to a trait that does not exist`;
+    }
+
+    if (rule.trait.layer === rule.requires.layer) {
+      return `Rule "${rule.source}" requires a trait from its own layer`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseTraitRules,
+  isTraitAllowed,
+  validateTraitRules
+};
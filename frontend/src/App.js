@@ -7,16 +7,34 @@ import {
   Button,
   Alert,
   CircularProgress,
+  LinearProgress,
   ThemeProvider,
   createTheme,
-  CssBaseline
+  CssBaseline,
+  ToggleButton,
+  ToggleButtonGroup
 } from '@mui/material';
-import CollectionDetails from './components/CollectionDetails';
+import CollectionDetails, { MAX_CREATORS } from './components/CollectionDetails';
 import RarityPlan from './components/RarityPlan';
+import TraitLayers from './components/TraitLayers';
 import AdvancedOptions from './components/AdvancedOptions';
 import axios from 'axios';
 import { saveAs } from 'file-saver';
 
+const STATUS_POLL_INTERVAL = 2000;
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+const PHASE_LABELS = {
+  queued: 'Waiting in queue',
+  checking_duplicates: 'Checking for duplicates',
+  processing_images: 'Processing images',
+  packaging: 'Packaging archive',
+  completed: 'Completed',
+  failed: 'Failed'
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 const theme = createTheme({
   palette: {
     primary: {
@@ -35,22 +53,40 @@ function App() {
     description: '',
     externalUrl: '',
     royaltyFee: 300,
-    creatorWallet: '',
-    creatorShare: 100,
+    creators: [
+      {
+        address: '',
+        share: 100
+      }
+    ],
+    mintPrice: 0,
     collectionNumber: '',
     season: '',
     seriesSlug: ''
   });
 
+  const [generationMode, setGenerationMode] = useState('tiers');
   const [rarityTiers, setRarityTiers] = useState([]);
+  const [traitLayers, setTraitLayers] = useState([]);
+  const [traitRules, setTraitRules] = useState('');
+  const [oneOfOnes, setOneOfOnes] = useState([]);
   const [totalSupply, setTotalSupply] = useState(0);
   const [advancedOptions, setAdvancedOptions] = useState({
     randomizeOrder: false,
+    shuffleSeed: '',
+    exportFormat: 'standard',
+    metadataProfile: 'metaplex-legacy',
+    duplicateCheck: 'report',
+    duplicateThreshold: 5,
     calculateColorPalette: false,
-    calculateSHA256: false
+    calculateSHA256: false,
+    calculateRarity: false,
+    includeRarityRank: false
   });
+  const [collectionImage, setCollectionImage] = useState(null);
 
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
 
@@ -66,12 +102,33 @@ function App() {
       return false;
     }
 
+    // Validate royalty split
+    if (collectionData.creators.length === 0 || collectionData.creators.length > MAX_CREATORS) {
+      setError(`Please add between 1 and ${MAX_CREATORS} creators.`);
+      return false;
+    }
+
+    if (collectionData.creators.some(creator => !SOLANA_ADDRESS_REGEX.test(creator.address))) {
+      setError('Every creator needs a valid Solana wallet address.');
+      return false;
+    }
+
+    const totalShare = collectionData.creators.reduce((sum, creator) => sum + creator.share, 0);
+    if (totalShare !== 100) {
+      setError(`Creator shares must add up to 100 (currently ${totalShare}).`);
+      return false;
+    }
+
     // Validate total supply
     if (totalSupply <= 0) {
       setError('Total supply must be greater than 0.');
       return false;
     }
 
+    if (generationMode === 'layers') {
+      return validateTraitLayers();
+    }
+
     // Validate rarity tiers
     if (rarityTiers.length === 0) {
       setError('Please add at least one rarity tier.');
@@ -104,6 +161,42 @@ function App() {
     return true;
   };
 
+  const validateTraitLayers = () => {
+    if (traitLayers.length === 0) {
+      setError('Please add at least one trait layer.');
+      return false;
+    }
+
+    for (let [index, layer] of traitLayers.entries()) {
+      if (!layer.name.trim()) {
+        setError(`Please name trait layer ${index + 1}.`);
+        return false;
+      }
+
+      if (layer.traits.length === 0) {
+        setError(`Please upload trait images for the ${layer.name} layer.`);
+        return false;
+      }
+
+      if (layer.traits.some(trait => !trait.name.trim() || !(trait.weight > 0))) {
+        setError(`Every trait in the ${layer.name} layer needs a name and a weight greater than 0.`);
+        return false;
+      }
+    }
+
+    if (oneOfOnes.length > totalSupply) {
+      setError(`${oneOfOnes.length} hand-placed 1/1 tokens do not fit in a supply of ${totalSupply}.`);
+      return false;
+    }
+
+    if (oneOfOnes.some(oneOfOne => !oneOfOne.name.trim() || !oneOfOne.file)) {
+      setError('Every hand-placed 1/1 token needs a name and an image.');
+      return false;
+    }
+
+    return true;
+  };
+
   const handleGenerate = async () => {
     setError('');
     setSuccess('');
@@ -113,43 +206,97 @@ function App() {
     }
 
     setLoading(true);
+    setProgress(null);
 
     try {
       const formData = new FormData();
       
-      // Add collection data
-      formData.append('collectionData', JSON.stringify(collectionData));
-      formData.append('totalSupply', totalSupply);
-      formData.append('advancedOptions', JSON.stringify(advancedOptions));
-      formData.append('rarityTiers', JSON.stringify(rarityTiers.map(tier => ({
-        ...tier,
-        files: undefined // Remove files from JSON, they'll be added separately
-      }))));
-
-      // Add files
-      rarityTiers.forEach((tier, tierIndex) => {
-        tier.files.forEach((file, fileIndex) => {
-          formData.append(`tier_${tierIndex}_file_${fileIndex}`, file);
+      // Add generation payload (files are added separately)
+      if (generationMode === 'layers') {
+        formData.append('data', JSON.stringify({
+          collectionData,
+          totalSupply,
+          advancedOptions,
+          mode: 'layers',
+          traitLayers: traitLayers.map(layer => ({
+            name: layer.name,
+            traits: layer.traits.map(({ name, weight }) => ({ name, weight }))
+          })),
+          traitRules,
+          oneOfOnes: oneOfOnes.map(({ name, index }) => ({ name, index }))
+        }));
+
+        // Add layer files
+        traitLayers.forEach((layer, layerIndex) => {
+          layer.traits.forEach((trait, traitIndex) => {
+            formData.append(`layer_${layerIndex}_trait_${traitIndex}`, trait.file);
+          });
         });
-      });
 
-      const response = await axios.post('/api/generate-collection', formData, {
+        oneOfOnes.forEach((oneOfOne, index) => {
+          formData.append(`one_of_one_${index}`, oneOfOne.file);
+        });
+      } else {
+        formData.append('data', JSON.stringify({
+          collectionData,
+          totalSupply,
+          advancedOptions,
+          mode: 'tiers',
+          rarityTiers: rarityTiers.map(tier => ({
+            type: tier.rarityTier,
+            nftCount: tier.numberOfNFTs,
+            editionsPerImage: tier.rarityTier === '1/1' ? 1 : tier.editionsPerImage,
+            artIdPrefix: tier.artIdPrefix || tier.rarityTier
+          }))
+        }));
+
+        // Add files
+        rarityTiers.forEach((tier, tierIndex) => {
+          tier.files.forEach((file, fileIndex) => {
+            formData.append(`tier_${tierIndex}_file_${fileIndex}`, file);
+          });
+        });
+      }
+
+      if (advancedOptions.exportFormat === 'sugar' && collectionImage) {
+        formData.append('collection_image', collectionImage);
+      }
+
+      const response = await axios.post('/api/generate', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
-        },
-        responseType: 'blob'
+        }
       });
 
-      // Download the generated ZIP file
-      const blob = new Blob([response.data], { type: 'application/zip' });
-      saveAs(blob, `${collectionData.projectName.replace(/\s+/g, '_')}_NFT_Collection.zip`);
+      // Poll the generation job until the archive is ready
+      const { statusUrl, downloadUrl } = response.data;
+      let status = response.data;
+
+      while (status.status !== 'completed') {
+        await wait(STATUS_POLL_INTERVAL);
+        const statusResponse = await axios.get(statusUrl);
+        status = statusResponse.data;
+        setProgress(status);
+
+        if (status.status === 'failed') {
+          throw new Error(status.error || 'Generation failed');
+        }
+      }
+
+      // Download the generated ZIP file through XHR; the dev server only proxies non-HTML requests
+      const download = await axios.get(downloadUrl, { responseType: 'blob' });
+      saveAs(download.data, `${collectionData.projectName.replace(/[^a-zA-Z0-9]/g, '_')}_collection.zip`);
       
-      setSuccess('Collection generated successfully! Download started.');
+      const duplicateNote = status.duplicates && status.duplicates.total > 0 ?
+        ` Warning: ${status.duplicates.total} possible duplicates were found, see duplicates.json.` :
+        '';
+      setSuccess(`Collection generated successfully! Download started. Provenance hash: ${status.provenanceHash}.${duplicateNote}`);
     } catch (err) {
       console.error('Generation error:', err);
-      setError(err.response?.data?.error || 'Failed to generate collection. Please try again.');
+      setError(err.response?.data?.error || err.message || 'Failed to generate collection. Please try again.');
     } finally {
       setLoading(false);
+      setProgress(null);
     }
   };
 
@@ -187,17 +334,41 @@ function App() {
           />
         </Paper>
 
-        {/* Section 2: Rarity Plan & Image Uploader */}
+        {/* Section 2: Rarity Plan & Image Uploader, or trait layers for generative art */}
         <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
-          <Typography variant="h5" gutterBottom color="primary">
-            2. Rarity Plan & Image Upload
-          </Typography>
-          <RarityPlan 
-            totalSupply={totalSupply}
-            onTotalSupplyChange={setTotalSupply}
-            rarityTiers={rarityTiers}
-            onRarityTiersChange={setRarityTiers}
-          />
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+            <Typography variant="h5" color="primary">
+              {generationMode === 'layers' ? '2. Trait Layers' : '2. Rarity Plan & Image Upload'}
+            </Typography>
+            <ToggleButtonGroup
+              value={generationMode}
+              exclusive
+              size="small"
+              onChange={(e, mode) => mode && setGenerationMode(mode)}
+            >
+              <ToggleButton value="tiers">Pre-made Art</ToggleButton>
+              <ToggleButton value="layers">Trait Layers</ToggleButton>
+            </ToggleButtonGroup>
+          </Box>
+          {generationMode === 'layers' ? (
+            <TraitLayers
+              totalSupply={totalSupply}
+              onTotalSupplyChange={setTotalSupply}
+              traitLayers={traitLayers}
+              onTraitLayersChange={setTraitLayers}
+              traitRules={traitRules}
+              onTraitRulesChange={setTraitRules}
+              oneOfOnes={oneOfOnes}
+              onOneOfOnesChange={setOneOfOnes}
+            />
+          ) : (
+            <RarityPlan 
+              totalSupply={totalSupply}
+              onTotalSupplyChange={setTotalSupply}
+              rarityTiers={rarityTiers}
+              onRarityTiersChange={setRarityTiers}
+            />
+          )}
         </Paper>
 
         {/* Section 3: Advanced Options & Action */}
@@ -208,6 +379,8 @@ function App() {
           <AdvancedOptions 
             options={advancedOptions}
             onChange={setAdvancedOptions}
+            collectionImage={collectionImage}
+            onCollectionImageChange={setCollectionImage}
           />
           
           <Box sx={{ mt: 4, textAlign: 'center' }}>
@@ -235,6 +408,15 @@ function App() {
                 'GENERATE COLLECTION'
               )}
             </Button>
+
+            {progress && (
+              <Box sx={{ mt: 3, maxWidth: 480, mx: 'auto' }}>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                  {PHASE_LABELS[progress.phase] || progress.phase}: {progress.processed} / {progress.total} NFTs
+                </Typography>
+                <LinearProgress variant="determinate" value={progress.progress} />
+              </Box>
+            )}
           </Box>
         </Paper>
       </Container>
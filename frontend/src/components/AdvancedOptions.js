@@ -3,14 +3,20 @@ import {
   Box,
   FormControlLabel,
   Checkbox,
+  TextField,
   Typography,
   Grid,
   Card,
-  CardContent
+  CardContent,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Button
 } from '@mui/material';
-import { Shuffle, Palette, Security } from '@mui/icons-material';
+import { Shuffle, Palette, Security, Archive, ContentCopy, Leaderboard, CloudUpload as UploadIcon } from '@mui/icons-material';
 
-const AdvancedOptions = ({ options, onChange }) => {
+const AdvancedOptions = ({ options, onChange, collectionImage, onCollectionImageChange }) => {
   const handleChange = (field) => (event) => {
     onChange({
       ...options,
@@ -18,6 +24,13 @@ const AdvancedOptions = ({ options, onChange }) => {
     });
   };
 
+  const handleValueChange = (field) => (event) => {
+    onChange({
+      ...options,
+      [field]: event.target.value
+    });
+  };
+
   return (
     <Box>
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
@@ -47,6 +60,19 @@ const AdvancedOptions = ({ options, onChange }) => {
               <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
                 Shuffle the final numbered NFTs to randomize the distribution order. This prevents predictable patterns in the collection.
               </Typography>
+              {options.randomizeOrder && (
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Shuffle Seed (Optional)"
+                  value={options.shuffleSeed}
+                  onChange={handleValueChange('shuffleSeed')}
+                  placeholder="e.g., a future blockhash"
+                  inputProps={{ maxLength: 256 }}
+                  helperText="Leave empty to let the server pick one. The seed is saved in provenance.json so the order can be verified."
+                  sx={{ mt: 2 }}
+                />
+              )}
             </CardContent>
           </Card>
         </Grid>
@@ -102,6 +128,152 @@ const AdvancedOptions = ({ options, onChange }) => {
             </CardContent>
           </Card>
         </Grid>
+        
+        <Grid item xs={12}>
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                <Leaderboard color="primary" sx={{ mr: 1 }} />
+                <Typography variant="h6" color="primary">
+                  Rarity Report
+                </Typography>
+              </Box>
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={options.calculateRarity}
+                    onChange={handleChange('calculateRarity')}
+                    color="primary"
+                  />
+                }
+                label="Calculate Rarity Scores"
+              />
+              <FormControlLabel
+                control={
+                  <Checkbox
+                    checked={options.includeRarityRank}
+                    onChange={handleChange('includeRarityRank')}
+                    color="primary"
+                  />
+                }
+                label="Add rarity_rank Attribute"
+              />
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Score every NFT by how rare its traits are across the whole collection (OpenRarity information content) and export rarity.json and rarity.csv with scores and ranks. Pre-made art is ranked by tier and artwork; layered collections by their traits.
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                <ContentCopy color="primary" sx={{ mr: 1 }} />
+                <Typography variant="h6" color="primary">
+                  Duplicate Detection
+                </Typography>
+              </Box>
+              <Grid container spacing={2}>
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Duplicate Check</InputLabel>
+                    <Select
+                      value={options.duplicateCheck}
+                      onChange={handleValueChange('duplicateCheck')}
+                      label="Duplicate Check"
+                    >
+                      <MenuItem value="off">Off</MenuItem>
+                      <MenuItem value="report">Report only (duplicates.json in the export)</MenuItem>
+                      <MenuItem value="block">Block export when duplicates are found</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                <Grid item xs={12} md={6}>
+                  <TextField
+                    fullWidth
+                    label="Near-Duplicate Threshold"
+                    type="number"
+                    value={options.duplicateThreshold}
+                    onChange={(event) => onChange({ ...options, duplicateThreshold: parseInt(event.target.value) || 0 })}
+                    inputProps={{ min: 0, max: 64 }}
+                    disabled={options.duplicateCheck === 'off'}
+                    helperText="Maximum number of differing bits (out of 64) between perceptual hashes"
+                  />
+                </Grid>
+              </Grid>
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Every artwork is checked before export for identical images, repeated trait combinations and visually near-identical images. Editions of the same uploaded image are not reported.
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
+
+        <Grid item xs={12}>
+          <Card variant="outlined">
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                <Archive color="primary" sx={{ mr: 1 }} />
+                <Typography variant="h6" color="primary">
+                  Export Format
+                </Typography>
+              </Box>
+              <Grid container spacing={2} alignItems="center">
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth size="small">
+                    <InputLabel>Export Format</InputLabel>
+                    <Select
+                      value={options.exportFormat}
+                      onChange={handleValueChange('exportFormat')}
+                      label="Export Format"
+                    >
+                      <MenuItem value="standard">Standard (images/ + json/ with IPFS placeholders)</MenuItem>
+                      <MenuItem value="sugar">Candy Machine v3 / Sugar (assets/ + config.json)</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+                {options.exportFormat === 'sugar' && (
+                  <Grid item xs={12} md={6}>
+                    <Button
+                      variant="outlined"
+                      component="label"
+                      startIcon={<UploadIcon />}
+                    >
+                      {collectionImage ? collectionImage.name : 'Collection Cover Image'}
+                      <input
+                        hidden
+                        type="file"
+                        accept="image/png,image/jpeg"
+                        onChange={(event) => onCollectionImageChange(event.target.files[0] || null)}
+                      />
+                    </Button>
+                  </Grid>
+                )}
+                <Grid item xs={12} md={6}>
+                  <FormControl fullWidth>
+                    <InputLabel>Metadata Profile</InputLabel>
+                    <Select
+                      value={options.metadataProfile}
+                      onChange={handleValueChange('metadataProfile')}
+                      label="Metadata Profile"
+                    >
+                      <MenuItem value="metaplex-legacy">Metaplex legacy JSON (royalties and creators off-chain)</MenuItem>
+                      <MenuItem value="token-metadata">Token Metadata (royalties and creators on-chain)</MenuItem>
+                      <MenuItem value="core">Metaplex Core asset</MenuItem>
+                      <MenuItem value="cnft">Compressed NFT (Bubblegum)</MenuItem>
+                    </Select>
+                  </FormControl>
+                </Grid>
+              </Grid>
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                Profiles that keep royalties on-chain add an onchain-config.json with the creators and seller fee to use when minting.
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                The Sugar format produces a flat assets/ folder (0.png, 0.json, collection.png, collection.json) and a config.json that can be used directly with Metaplex Sugar. Without a cover image, the first NFT image is used for the collection.
+              </Typography>
+            </CardContent>
+          </Card>
+        </Grid>
       </Grid>
       
       <Box sx={{ mt: 3, p: 2, bgcolor: 'info.light', borderRadius: 1 }}>
@@ -3,13 +3,19 @@ import {
   Grid,
   TextField,
   Typography,
-  Box
+  Box,
+  Button,
+  IconButton,
+  Alert
 } from '@mui/material';
+import { Add as AddIcon, Delete as DeleteIcon } from '@mui/icons-material';
+
+export const MAX_CREATORS = 5;
 
 const CollectionDetails = ({ data, onChange }) => {
-  const handleChange = (field) => (event) => {
+  const handleChange = (field, parse = parseInt) => (event) => {
     const value = event.target.type === 'number' ? 
-      parseInt(event.target.value) || 0 : 
+      parse(event.target.value) || 0 : 
       event.target.value;
     
     onChange({
@@ -18,6 +24,35 @@ const CollectionDetails = ({ data, onChange }) => {
     });
   };
 
+  const handleCreatorChange = (index, field) => (event) => {
+    const value = field === 'share' ? 
+      parseInt(event.target.value) || 0 : 
+      event.target.value.trim();
+
+    onChange({
+      ...data,
+      creators: data.creators.map((creator, i) => 
+        i === index ? { ...creator, [field]: value } : creator
+      )
+    });
+  };
+
+  const addCreator = () => {
+    onChange({
+      ...data,
+      creators: [...data.creators, { address: '', share: 0 }]
+    });
+  };
+
+  const removeCreator = (index) => {
+    onChange({
+      ...data,
+      creators: data.creators.filter((_, i) => i !== index)
+    });
+  };
+
+  const totalShare = data.creators.reduce((sum, creator) => sum + (creator.share || 0), 0);
+
   return (
     <Box>
       <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
@@ -88,27 +123,72 @@ const CollectionDetails = ({ data, onChange }) => {
           />
         </Grid>
         
-        <Grid item xs={12} md={6}>
-          <TextField
-            fullWidth
-            label="Creator Wallet Address"
-            value={data.creatorWallet}
-            onChange={handleChange('creatorWallet')}
-            placeholder="Solana wallet address"
-            required
-            helperText="Solana wallet address for royalties"
-          />
+        <Grid item xs={12}>
+          <Typography variant="subtitle1" gutterBottom>
+            Creators & Royalty Split
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Up to {MAX_CREATORS} Solana wallets. Shares are percentages of the royalties and must add up to 100.
+          </Typography>
+          
+          {data.creators.map((creator, index) => (
+            <Grid container spacing={2} key={index} sx={{ mb: 1 }} alignItems="center">
+              <Grid item xs={12} md={8}>
+                <TextField
+                  fullWidth
+                  label={`Creator ${index + 1} Wallet Address`}
+                  value={creator.address}
+                  onChange={handleCreatorChange(index, 'address')}
+                  placeholder="Solana wallet address"
+                  required
+                />
+              </Grid>
+              <Grid item xs={9} md={3}>
+                <TextField
+                  fullWidth
+                  label="Share (%)"
+                  value={creator.share}
+                  onChange={handleCreatorChange(index, 'share')}
+                  type="number"
+                  inputProps={{ min: 0, max: 100 }}
+                />
+              </Grid>
+              <Grid item xs={3} md={1}>
+                <IconButton 
+                  onClick={() => removeCreator(index)} 
+                  color="error"
+                  disabled={data.creators.length === 1}
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </Grid>
+            </Grid>
+          ))}
+          
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mt: 1 }}>
+            <Button
+              variant="outlined"
+              startIcon={<AddIcon />}
+              onClick={addCreator}
+              disabled={data.creators.length >= MAX_CREATORS}
+            >
+              Add Creator
+            </Button>
+            <Alert severity={totalShare === 100 ? 'success' : 'warning'} sx={{ flexGrow: 1 }}>
+              Total share: {totalShare}%
+            </Alert>
+          </Box>
         </Grid>
         
         <Grid item xs={12} md={6}>
           <TextField
             fullWidth
-            label="Creator Share"
-            value={data.creatorShare}
-            onChange={handleChange('creatorShare')}
+            label="Mint Price (SOL)"
+            value={data.mintPrice}
+            onChange={handleChange('mintPrice', parseFloat)}
             type="number"
-            inputProps={{ min: 0, max: 100 }}
-            helperText="Percentage of royalties (usually 100)"
+            inputProps={{ min: 0, step: 0.01 }}
+            helperText="Used for the Sugar config.json payment guard"
           />
         </Grid>
         
@@ -0,0 +1,354 @@
+import React from 'react';
+import {
+  Grid,
+  TextField,
+  Typography,
+  Box,
+  Button,
+  Card,
+  CardContent,
+  IconButton,
+  Alert
+} from '@mui/material';
+import {
+  Add as AddIcon,
+  Delete as DeleteIcon,
+  CloudUpload as UploadIcon,
+  ArrowUpward as ArrowUpIcon,
+  ArrowDownward as ArrowDownIcon
+} from '@mui/icons-material';
+import { useDropzone } from 'react-dropzone';
+
+const traitNameFromFile = (file) => file.name.replace(/\.[^.]+$/, '');
+
+const TraitLayerCard = ({ layer, index, layerCount, onUpdate, onDelete, onMove }) => {
+  const { getRootProps, getInputProps, isDragActive } = useDropzone({
+    accept: {
+      'image/png': ['.png']
+    },
+    onDrop: (acceptedFiles) => {
+      // Every PNG becomes a trait named after its file
+      onUpdate(index, {
+        ...layer,
+        traits: [
+          ...layer.traits,
+          ...acceptedFiles.map(file => ({
+            name: traitNameFromFile(file),
+            weight: 1,
+            file
+          }))
+        ]
+      });
+    }
+  });
+
+  const updateTrait = (traitIndex, field, value) => {
+    const traits = [...layer.traits];
+    traits[traitIndex] = {
+      ...traits[traitIndex],
+      [field]: value
+    };
+    onUpdate(index, { ...layer, traits });
+  };
+
+  const deleteTrait = (traitIndex) => {
+    onUpdate(index, {
+      ...layer,
+      traits: layer.traits.filter((_, i) => i !== traitIndex)
+    });
+  };
+
+  const totalWeight = layer.traits.reduce((sum, trait) => sum + (trait.weight || 0), 0);
+
+  return (
+    <Card variant="outlined" sx={{ mb: 2 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+          <Typography variant="h6" color="primary">
+            Layer {index + 1}{index === 0 ? ' (bottom)' : index === layerCount - 1 ? ' (top)' : ''}
+          </Typography>
+          <Box>
+            <IconButton onClick={() => onMove(index, -1)} disabled={index === 0}>
+              <ArrowUpIcon />
+            </IconButton>
+            <IconButton onClick={() => onMove(index, 1)} disabled={index === layerCount - 1}>
+              <ArrowDownIcon />
+            </IconButton>
+            <IconButton onClick={() => onDelete(index)} color="error">
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+        </Box>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={6}>
+            <TextField
+              fullWidth
+              label="Trait Category"
+              value={layer.name}
+              onChange={(e) => onUpdate(index, { ...layer, name: e.target.value })}
+              placeholder="e.g., Background"
+              helperText="Used as trait_type in the metadata"
+              required
+            />
+          </Grid>
+
+          <Grid item xs={12}>
+            <Box
+              {...getRootProps()}
+              sx={{
+                border: '2px dashed',
+                borderColor: isDragActive ? 'primary.main' : 'grey.300',
+                borderRadius: 2,
+                p: 3,
+                textAlign: 'center',
+                cursor: 'pointer',
+                bgcolor: isDragActive ? 'action.hover' : 'background.paper',
+                '&:hover': {
+                  bgcolor: 'action.hover'
+                }
+              }}
+            >
+              <input {...getInputProps()} />
+              <UploadIcon sx={{ fontSize: 48, color: 'text.secondary', mb: 1 }} />
+              <Typography variant="h6" gutterBottom>
+                {isDragActive ? 'Drop layer images here...' : 'Drag & drop trait images or click to browse'}
+              </Typography>
+              <Typography variant="body2" color="text.secondary">
+                Transparent PNGs, all with the same dimensions
+              </Typography>
+            </Box>
+          </Grid>
+
+          {layer.traits.map((trait, traitIndex) => (
+            <React.Fragment key={traitIndex}>
+              <Grid item xs={12} md={6}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Trait Name"
+                  value={trait.name}
+                  onChange={(e) => updateTrait(traitIndex, 'name', e.target.value)}
+                  helperText={trait.file.name}
+                />
+              </Grid>
+              <Grid item xs={9} md={4}>
+                <TextField
+                  fullWidth
+                  size="small"
+                  label="Weight"
+                  type="number"
+                  value={trait.weight}
+                  onChange={(e) => updateTrait(traitIndex, 'weight', parseFloat(e.target.value) || 0)}
+                  inputProps={{ min: 0, step: 'any' }}
+                  helperText={totalWeight > 0 ? `${((trait.weight / totalWeight) * 100).toFixed(1)}% chance` : ''}
+                />
+              </Grid>
+              <Grid item xs={3} md={2}>
+                <IconButton onClick={() => deleteTrait(traitIndex)} color="error">
+                  <DeleteIcon />
+                </IconButton>
+              </Grid>
+            </React.Fragment>
+          ))}
+        </Grid>
+      </CardContent>
+    </Card>
+  );
+};
+
+const OneOfOneRow = ({ oneOfOne, index, onUpdate, onDelete }) => (
+  <Grid container spacing={2} alignItems="center" sx={{ mb: 1 }}>
+    <Grid item xs={12} md={4}>
+      <TextField
+        fullWidth
+        size="small"
+        label="Name"
+        value={oneOfOne.name}
+        onChange={(e) => onUpdate(index, { ...oneOfOne, name: e.target.value })}
+        required
+      />
+    </Grid>
+    <Grid item xs={12} md={3}>
+      <TextField
+        fullWidth
+        size="small"
+        label="Token Index"
+        type="number"
+        value={oneOfOne.index}
+        onChange={(e) => onUpdate(index, { ...oneOfOne, index: e.target.value })}
+        inputProps={{ min: 0 }}
+        helperText="Leave empty for a random position"
+      />
+    </Grid>
+    <Grid item xs={9} md={4}>
+      <Button variant="outlined" component="label" startIcon={<UploadIcon />} fullWidth>
+        {oneOfOne.file ? oneOfOne.file.name : 'Upload Image'}
+        <input
+          hidden
+          type="file"
+          accept="image/png,image/jpeg"
+          onChange={(e) => onUpdate(index, { ...oneOfOne, file: e.target.files[0] || null })}
+        />
+      </Button>
+    </Grid>
+    <Grid item xs={3} md={1}>
+      <IconButton onClick={() => onDelete(index)} color="error">
+        <DeleteIcon />
+      </IconButton>
+    </Grid>
+  </Grid>
+);
+
+const TraitLayers = ({
+  totalSupply,
+  onTotalSupplyChange,
+  traitLayers,
+  onTraitLayersChange,
+  traitRules,
+  onTraitRulesChange,
+  oneOfOnes,
+  onOneOfOnesChange
+}) => {
+  const addLayer = () => {
+    onTraitLayersChange([...traitLayers, { name: '', traits: [] }]);
+  };
+
+  const updateLayer = (index, updatedLayer) => {
+    const newLayers = [...traitLayers];
+    newLayers[index] = updatedLayer;
+    onTraitLayersChange(newLayers);
+  };
+
+  const deleteLayer = (index) => {
+    onTraitLayersChange(traitLayers.filter((_, i) => i !== index));
+  };
+
+  const moveLayer = (index, offset) => {
+    const newLayers = [...traitLayers];
+    [newLayers[index], newLayers[index + offset]] = [newLayers[index + offset], newLayers[index]];
+    onTraitLayersChange(newLayers);
+  };
+
+  const addOneOfOne = () => {
+    onOneOfOnesChange([...oneOfOnes, { name: '', index: '', file: null }]);
+  };
+
+  const updateOneOfOne = (index, updatedOneOfOne) => {
+    const newOneOfOnes = [...oneOfOnes];
+    newOneOfOnes[index] = updatedOneOfOne;
+    onOneOfOnesChange(newOneOfOnes);
+  };
+
+  const deleteOneOfOne = (index) => {
+    onOneOfOnesChange(oneOfOnes.filter((_, i) => i !== index));
+  };
+
+  const combinations = traitLayers.reduce((product, layer) => product * layer.traits.length, 1);
+
+  return (
+    <Box>
+      <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+        Upload one folder of transparent PNG layers per trait category. Each NFT picks one trait per layer by weight, and the layers are stacked from the first (bottom) to the last (top).
+      </Typography>
+
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <TextField
+            fullWidth
+            label="Total Supply"
+            value={totalSupply}
+            onChange={(e) => onTotalSupplyChange(parseInt(e.target.value) || 0)}
+            type="number"
+            inputProps={{ min: 1 }}
+            required
+            helperText="Total number of NFTs in your collection"
+          />
+        </Grid>
+
+        <Grid item xs={12} md={6}>
+          <Box sx={{ display: 'flex', alignItems: 'center', height: '100%' }}>
+            <Alert severity={traitLayers.length > 0 && combinations >= totalSupply ? 'success' : 'info'} sx={{ width: '100%' }}>
+              {traitLayers.length > 0 ?
+                `${combinations} possible trait combinations` :
+                'No layers yet'
+              }
+            </Alert>
+          </Box>
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mb: 3 }}>
+        <Button
+          variant="outlined"
+          startIcon={<AddIcon />}
+          onClick={addLayer}
+          sx={{ mb: 2 }}
+        >
+          Add Trait Layer
+        </Button>
+
+        {traitLayers.length === 0 && (
+          <Alert severity="info">
+            Click "Add Trait Layer" to start with the bottom layer, e.g. Background.
+          </Alert>
+        )}
+      </Box>
+
+      {traitLayers.map((layer, index) => (
+        <TraitLayerCard
+          key={index}
+          layer={layer}
+          index={index}
+          layerCount={traitLayers.length}
+          onUpdate={updateLayer}
+          onDelete={deleteLayer}
+          onMove={moveLayer}
+        />
+      ))}
+
+      <Card variant="outlined" sx={{ mb: 2 }}>
+        <CardContent>
+          <Typography variant="h6" color="primary" gutterBottom>
+            Trait Rules
+          </Typography>
+          <TextField
+            fullWidth
+            multiline
+            minRows={4}
+            value={traitRules}
+            onChange={(e) => onTraitRulesChange(e.target.value)}
+            placeholder={'Hat:Cap never Hair:Mohawk\nEyes:Laser requires Background:Space\nunique'}
+            helperText='One rule per line using "Layer:Trait". "never" keeps two traits apart, "requires" forces a trait on another layer, "unique" forbids repeated combinations.'
+            InputProps={{ sx: { fontFamily: 'monospace' } }}
+          />
+        </CardContent>
+      </Card>
+
+      <Card variant="outlined">
+        <CardContent>
+          <Typography variant="h6" color="primary" gutterBottom>
+            Hand-placed 1/1 Tokens
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            Finished artworks inserted into the collection as-is. They count towards the total supply and keep their token index when the output order is randomized.
+          </Typography>
+          {oneOfOnes.map((oneOfOne, index) => (
+            <OneOfOneRow
+              key={index}
+              oneOfOne={oneOfOne}
+              index={index}
+              onUpdate={updateOneOfOne}
+              onDelete={deleteOneOfOne}
+            />
+          ))}
+          <Button variant="outlined" startIcon={<AddIcon />} onClick={addOneOfOne}>
+            Add 1/1 Token
+          </Button>
+        </CardContent>
+      </Card>
+    </Box>
+  );
+};
+
+export default TraitLayers;
@@ -0,0 +1,163 @@
+/**
+ * Duplicate detection for generated tokens, used by backend/ and ai-nft-studio/backend/.
+ *
+ * Exact duplicates share the SHA-256 of their processed image (or their trait set);
+ * near duplicates have difference hashes (dHash) within a Hamming distance threshold.
+ * Image decoding needs sharp, which only the backends install, so each of them binds
+ * its own copy with createDuplicateDetector (see their utils/duplicates.js).
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_NEAR_DUPLICATE_THRESHOLD = 5;
+
+const popCount = (value) => {
+  let count = 0;
+  while (value) {
+    value &= value - 1;
+    count++;
+  }
+  return count;
+};
+
+// Split into two 32-bit halves so the pairwise scan stays on plain numbers
+const splitHash = (hex) => [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8), 16)];
+
+const groupBy = (items, key) => {
+  const groups = new Map();
+  for (const item of items) {
+    const value = key(item);
+    if (value === null || value === undefined) continue;
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(item);
+  }
+  return [...groups.entries()].filter(([, group]) => group.length > 1);
+};
+
+/**
+ * Find exact and near duplicates
+ * @param {Array<{ref: object, sha256: string, dHash?: string, traitKey?: string}>} items - Fingerprinted items;
+ *   `ref` is copied into the report to identify each item
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Maximum dHash distance for near duplicates
+ * @returns {object} Duplicate report
+ */
+const findDuplicates = (items, { threshold = DEFAULT_NEAR_DUPLICATE_THRESHOLD } = {}) => {
+  const exact = groupBy(items, item => item.sha256).map(([sha256, group]) => ({
+    sha256,
+    items: group.map(item => item.ref)
+  }));
+
+  const traitSets = groupBy(items, item => item.traitKey).map(([traitKey, group]) => ({
+    traits: traitKey,
+    items: group.map(item => item.ref)
+  }));
+
+  const hashed = items
+    .filter(item => item.dHash)
+    .map(item => ({ item, halves: splitHash(item.dHash) }));
+  const near = [];
+
+  for (let i = 0; i < hashed.length; i++) {
+    for (let j = i + 1; j < hashed.length; j++) {
+      const a = hashed[i];
+      const b = hashed[j];
+
+      // Identical files are already reported as exact duplicates
+      if (a.item.sha256 === b.item.sha256) continue;
+
+      const distance = popCount(a.halves[0] ^ b.halves[0]) + popCount(a.halves[1] ^ b.halves[1]);
+      if (distance <= threshold) {
+        near.push({
+          distance,
+          items: [a.item.ref, b.item.ref]
+        });
+      }
+    }
+  }
+
+  return {
+    checked: items.length,
+    threshold,
+    exact,
+    trait_sets: traitSets,
+    near
+  };
+};
+
+/**
+ * Count the findings in a duplicate report
+ * @param {object} report - Report from findDuplicates
+ * @returns {{exact: number, traitSets: number, near: number, total: number}} Counts
+ */
+const summarizeDuplicates = (report) => {
+  const summary = {
+    exact: report.exact.length,
+    traitSets: report.trait_sets.length,
+    near: report.near.length
+  };
+  summary.total = summary.exact + summary.traitSets + summary.near;
+  return summary;
+};
+
+/**
+ * Duplicate detection helpers bound to an image library
+ * @param {Function} sharp - The calling backend's sharp module
+ * @returns {object} DEFAULT_NEAR_DUPLICATE_THRESHOLD, computeDHash, fingerprintImage, findDuplicates
+ *   and summarizeDuplicates
+ */
+const createDuplicateDetector = (sharp) => {
+  /**
+   * 64-bit difference hash: greyscale 9x8 thumbnail, one bit per horizontal gradient
+   * @param {Buffer} imageBuffer - Image data
+   * @returns {Promise<string>} Hash as 16 hex characters
+   */
+  const computeDHash = async (imageBuffer) => {
+    const pixels = await sharp(imageBuffer)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const bit = pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n;
+        hash = (hash << 1n) | bit;
+      }
+    }
+
+    return hash.toString(16).padStart(16, '0');
+  };
+
+  /**
+   * Fingerprint an image for duplicate detection
+   * @param {Buffer} imageBuffer - Processed image data
+   * @returns {Promise<{sha256: string, dHash: string|null}>} Fingerprint
+   */
+  const fingerprintImage = async (imageBuffer) => {
+    const sha256 = crypto.createHash('sha256').update(imageBuffer).digest('hex');
+
+    try {
+      return { sha256, dHash: await computeDHash(imageBuffer) };
+    } catch (error) {
+      console.warn('Perceptual hash failed:', error.message);
+      return { sha256, dHash: null };
+    }
+  };
+
+  return {
+    DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+    computeDHash,
+    fingerprintImage,
+    findDuplicates,
+    summarizeDuplicates
+  };
+};
+
+module.exports = {
+  DEFAULT_NEAR_DUPLICATE_THRESHOLD,
+  createDuplicateDetector,
+  findDuplicates,
+  summarizeDuplicates
+};
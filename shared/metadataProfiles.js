@@ -0,0 +1,169 @@
+/**
+ * Metadata schema profiles.
+ *
+ * Every exporter describes a token (or the collection NFT) once, as a plain
+ * descriptor, and the selected profile decides the off-chain JSON shape:
+ *
+ * - metaplex-legacy: classic Metaplex JSON with seller_fee_basis_points,
+ *   properties.creators and the collection name/family block
+ * - token-metadata: current Token Metadata standard; royalties and creators
+ *   live on-chain only
+ * - core: Metaplex Core asset JSON (no symbol; royalties via the Royalties plugin)
+ * - cnft: compressed NFT (Bubblegum) JSON; royalties go in the leaf MetadataArgs
+ *
+ * Profiles that move royalties on-chain also provide buildOnChainConfig, which
+ * the exporters write next to the assets so the split is not lost.
+ *
+ * Both generators (backend/ and ai-nft-studio/backend/) use this module, so their output stays the same.
+ */
+
+const DEFAULT_PROFILE = 'metaplex-legacy';
+
+/**
+ * @typedef {object} TokenDescriptor
+ * @property {string} name
+ * @property {string} symbol
+ * @property {string} description
+ * @property {string} image - Image URI as it should appear in the JSON
+ * @property {string} [externalUrl]
+ * @property {Array<{trait_type: string, value: *}>} attributes
+ * @property {Array<{uri: string, type: string}>} files
+ * @property {string} [category]
+ * @property {number} sellerFeeBasisPoints
+ * @property {Array<{address: string, share: number}>} creators
+ * @property {{name: string, family: string}} [collection]
+ * @property {object} [extraProperties] - Merged into properties (e.g. sha256_hash)
+ */
+
+const buildProperties = (token, includeCreators) => {
+  const properties = {
+    files: token.files,
+    category: token.category || 'image'
+  };
+
+  if (includeCreators) {
+    properties.creators = token.creators;
+  }
+
+  return { ...properties, ...token.extraProperties };
+};
+
+const toOnChainCreators = (creators) => creators.map(creator => ({
+  address: creator.address,
+  verified: false,
+  share: creator.share
+}));
+
+const PROFILES = {
+  'metaplex-legacy': {
+    id: 'metaplex-legacy',
+    label: 'Metaplex (legacy JSON)',
+    buildMetadata: (token) => ({
+      name: token.name,
+      symbol: token.symbol,
+      description: token.description,
+      seller_fee_basis_points: token.sellerFeeBasisPoints,
+      image: token.image,
+      external_url: token.externalUrl || '',
+      attributes: token.attributes,
+      properties: buildProperties(token, true),
+      collection: token.collection
+    }),
+    buildOnChainConfig: null
+  },
+
+  'token-metadata': {
+    id: 'token-metadata',
+    label: 'Token Metadata (current standard)',
+    buildMetadata: (token) => ({
+      name: token.name,
+      symbol: token.symbol,
+      description: token.description,
+      image: token.image,
+      external_url: token.externalUrl || '',
+      attributes: token.attributes,
+      properties: buildProperties(token, false)
+    }),
+    buildOnChainConfig: (collection) => ({
+      standard: 'token-metadata',
+      symbol: collection.symbol,
+      sellerFeeBasisPoints: collection.sellerFeeBasisPoints,
+      creators: toOnChainCreators(collection.creators),
+      isMutable: true,
+      tokenStandard: 'NonFungible'
+    })
+  },
+
+  core: {
+    id: 'core',
+    label: 'Metaplex Core',
+    buildMetadata: (token) => ({
+      name: token.name,
+      description: token.description,
+      image: token.image,
+      external_url: token.externalUrl || '',
+      attributes: token.attributes,
+      properties: buildProperties(token, false)
+    }),
+    buildOnChainConfig: (collection) => ({
+      standard: 'core',
+      plugins: [
+        {
+          type: 'Royalties',
+          basisPoints: collection.sellerFeeBasisPoints,
+          creators: collection.creators.map(creator => ({
+            address: creator.address,
+            percentage: creator.share
+          })),
+          ruleSet: 'None'
+        }
+      ]
+    })
+  },
+
+  cnft: {
+    id: 'cnft',
+    label: 'Compressed NFT (Bubblegum)',
+    buildMetadata: (token) => ({
+      name: token.name,
+      symbol: token.symbol,
+      description: token.description,
+      image: token.image,
+      external_url: token.externalUrl || '',
+      attributes: token.attributes,
+      properties: buildProperties(token, false)
+    }),
+    buildOnChainConfig: (collection) => ({
+      standard: 'bubblegum',
+      metadataArgs: {
+        symbol: collection.symbol,
+        sellerFeeBasisPoints: collection.sellerFeeBasisPoints,
+        primarySaleHappened: false,
+        isMutable: true,
+        tokenStandard: 'NonFungible',
+        tokenProgramVersion: 'Original',
+        creators: toOnChainCreators(collection.creators)
+      }
+    })
+  }
+};
+
+/**
+ * Look up a metadata profile
+ * @param {string} [id] - Profile ID (defaults to metaplex-legacy)
+ * @returns {object|null} Profile, or null when unknown
+ */
+const getMetadataProfile = (id = DEFAULT_PROFILE) => PROFILES[id || DEFAULT_PROFILE] || null;
+
+/**
+ * List available profiles for clients
+ * @returns {Array<{id: string, label: string}>} Profiles
+ */
+const listMetadataProfiles = () => Object.values(PROFILES).map(({ id, label }) => ({ id, label }));
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILES,
+  getMetadataProfile,
+  listMetadataProfiles
+};
@@ -0,0 +1,111 @@
+/**
+ * Statistical rarity, following the OpenRarity information-content method.
+ * Used by backend/ and ai-nft-studio/backend/.
+ *
+ * Every trait value scores -log2(count / supply); a token's score is the sum over
+ * all trait types (a missing trait counts as the value "none") plus its trait count,
+ * divided by the collection entropy. Ranks use standard competition ranking (1, 2, 2, 4).
+ */
+
+const NONE_VALUE = 'none';
+const TRAIT_COUNT_TYPE = 'trait_count';
+
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Compute rarity scores and ranks for a collection
+ * @param {Array<{token: number, name: string, attributes: Array<{trait_type: string, value: *}>}>} tokens - Tokens with
+ *   the attributes that should count towards rarity
+ * @returns {object} Rarity report with per-token scores and ranks, in token order
+ */
+const computeRarity = (tokens) => {
+  const supply = tokens.length;
+  const traitTypes = [...new Set(tokens.flatMap(token => token.attributes.map(attribute => attribute.trait_type)))];
+
+  // Each token as a trait_type -> value map, including the synthetic trait count
+  const traitMaps = tokens.map(token => {
+    const traits = new Map(traitTypes.map(traitType => [traitType, NONE_VALUE]));
+    token.attributes.forEach(attribute => traits.set(attribute.trait_type, String(attribute.value)));
+    traits.set(TRAIT_COUNT_TYPE, String(token.attributes.length));
+    return traits;
+  });
+
+  const counts = new Map([...traitTypes, TRAIT_COUNT_TYPE].map(traitType => [traitType, new Map()]));
+  traitMaps.forEach(traits => {
+    traits.forEach((value, traitType) => {
+      const valueCounts = counts.get(traitType);
+      valueCounts.set(value, (valueCounts.get(value) || 0) + 1);
+    });
+  });
+
+  let entropy = 0;
+  counts.forEach(valueCounts => {
+    valueCounts.forEach(count => {
+      const probability = count / supply;
+      entropy -= probability * Math.log2(probability);
+    });
+  });
+
+  const scored = tokens.map((token, index) => {
+    const traits = [...traitMaps[index].entries()].map(([traitType, value]) => {
+      const count = counts.get(traitType).get(value);
+      return {
+        trait_type: traitType,
+        value,
+        count,
+        frequency: count / supply,
+        information_content: -Math.log2(count / supply)
+      };
+    });
+    const informationContent = traits.reduce((sum, trait) => sum + trait.information_content, 0);
+
+    return {
+      token: token.token,
+      name: token.name,
+      score: entropy > 0 ? informationContent / entropy : 0,
+      rank: null,
+      traits
+    };
+  });
+
+  const byScore = [...scored].sort((a, b) => b.score - a.score);
+  byScore.forEach((entry, position) => {
+    const previous = byScore[position - 1];
+    entry.rank = previous && Math.abs(previous.score - entry.score) < 1e-9 ? previous.rank : position + 1;
+  });
+
+  return {
+    method: 'openrarity-information-content',
+    supply,
+    entropy,
+    trait_counts: Object.fromEntries([...counts.entries()].map(([traitType, valueCounts]) => [
+      traitType,
+      Object.fromEntries(valueCounts)
+    ])),
+    tokens: scored
+  };
+};
+
+/**
+ * Render a rarity report as CSV, one row per token
+ * @param {object} report - Report from computeRarity
+ * @returns {string} CSV text
+ */
+const rarityToCsv = (report) => {
+  const traitTypes = Object.keys(report.trait_counts);
+  const header = ['token', 'name', 'rank', 'score', ...traitTypes];
+  const rows = report.tokens.map(entry => {
+    const values = new Map(entry.traits.map(trait => [trait.trait_type, trait.value]));
+    return [entry.token, entry.name, entry.rank, entry.score.toFixed(6), ...traitTypes.map(traitType => values.get(traitType))];
+  });
+
+  return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  computeRarity,
+  rarityToCsv
+};